@@ -1,5 +1,24 @@
 import * as THREE from "three";
-import { PlayerControls } from "./controls.js";
+import { PlayerControls, FIXED_TIMESTEP, MAX_FRAME_TIME } from "./controls.js";
+import { SnapshotBuffer, RENDER_DELAY } from "./interpolation.js";
+import { Avatar } from "./avatar.js";
+import { SoundManager } from "./sound.js";
+import { GameManager } from "./game.js";
+import { PlayerList } from "./players.js";
+import { Minimap } from "./minimap.js";
+import { PresencePublisher } from "./presence.js";
+import { MessageBus } from "./messages.js";
+import { Chat, showSpeechBubble, updateSpeechBubbles } from "./chat.js";
+import { loadLevel, buildLevel, getLevelParams, DEFAULT_LEVEL } from "./level.js";
+import { TriggerSystem, chooseSpawnPoint } from "./triggers.js";
+import { RoomClock } from "./clock.js";
+import { ProfileScreen, sanitizeName, sanitizeAppearance, randomColor } from "./profile.js";
+import { Recorder, ReplayPlayer, ReplayPanel } from "./replay.js";
+import { SettingsPanel, applyGraphics } from "./settings.js";
+import { DayNightCycle } from "./daynight.js";
+import { RenderStats, SimulatedPlayers, getBotCount } from "./stats.js";
+import { LevelEditor } from "./editor.js";
+import { createTransport } from "./transport.js";
 
 // Random colors for player avatars - pastel colors
 const COLORS = [
@@ -13,167 +32,172 @@ const COLORS = [
   "#FDFFB6"  // Pastel yellow
 ];
 
-// Simple seeded random number generator
-class MathRandom {
-  constructor(seed) {
-    this.seed = seed;
-  }
-  
-  random() {
-    const x = Math.sin(this.seed++) * 10000;
-    return x - Math.floor(x);
-  }
-}
-
 async function main() {
   // Get username from Websim API if available, otherwise generate random name
-  let playerName = `Player${Math.floor(Math.random() * 1000)}`;
+  let defaultName = `Player${Math.floor(Math.random() * 1000)}`;
   
   try {
     const user = await window.websim?.getUser();
     if (user && user.username) {
-      playerName = user.username;
+      defaultName = user.username;
     }
   } catch (error) {
     console.log("Could not get websim user, using random name");
   }
   
-  // Generate random HSL color for this player
-  const hue = Math.floor(Math.random() * 360);
-  const saturation = 70 + Math.floor(Math.random() * 30); // 70-100%
-  const lightness = 50 + Math.floor(Math.random() * 30); // 50-80%
-  const playerColor = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+  // Name, colour and accessories, saved between visits. Chosen before
+  // joining and editable in game; changes go out through presence. The panel
+  // can be opened while the level loads, so changes are only applied once
+  // our avatar exists (applyProfile below); until then they're just saved.
+  let applyProfile = null;
+  const profileScreen = new ProfileScreen({ name: defaultName, color: randomColor() }, {
+    palette: COLORS,
+    onChange: (profile) => {
+      if (applyProfile) applyProfile(profile);
+    }
+  });
+  await profileScreen.join();
+  
+  // Pick the level from the URL, falling back to the procedural map
+  const levelParams = getLevelParams();
+  let level;
+  try {
+    level = await loadLevel(levelParams.name, levelParams.seed);
+  } catch (error) {
+    console.error(`Could not load level "${levelParams.name}": ${error.message}`);
+    level = await loadLevel(DEFAULT_LEVEL);
+  }
+  
+  // Connect to the room: Websim, local tabs or a relay server, see transport.js
+  const transport = createTransport();
+  await transport.connect();
   
-  // Safe initial position values with fallbacks
-  const safePlayerX = (Math.random() * 10) - 5;
-  const safePlayerZ = (Math.random() * 10) - 5;
-
-  // Initialize WebsimSocket
-  const room = new WebsimSocket();
+  // Spawn points with other players nearby are avoided. They come from the
+  // loaded world, or the level file until the world is built.
+  function getSpawnPoint(spawnPoints = world.spawnPoints) {
+    const others = Object.keys(transport.presence)
+      .filter(clientId => clientId !== transport.clientId)
+      .map(clientId => transport.presence[clientId])
+      .filter(presence => presence && typeof presence.x === "number" && typeof presence.z === "number");
+    return chooseSpawnPoint(spawnPoints, others);
+  }
+  const spawnPoint = getSpawnPoint(level.spawnPoints);
+  
+  // All local presence changes go through the rate-limited publisher
+  const presencePublisher = new PresencePublisher(transport);
   
   // Set initial presence
-  room.party.updatePresence({
-    x: safePlayerX,
-    y: 0.5, // Height of player (half of height)
-    z: safePlayerZ,
+  presencePublisher.set({
+    x: spawnPoint.x,
+    y: spawnPoint.y, // Height of player (half of height)
+    z: spawnPoint.z,
     quaternion: [0, 0, 0, 1],
-    name: playerName,
-    color: playerColor
+    ...profileScreen.profile
   });
+  presencePublisher.flush();
   
-  // Setup Three.js scene
+  // Setup Three.js scene from the level
   const scene = new THREE.Scene();
-  scene.background = new THREE.Color(0x87CEEB); // Light sky blue background
-  
-  // Create barriers and walls
-  function createBarriers() {
-    // Use a deterministic random number generator based on a fixed seed
-    const barrierSeed = 12345; // Fixed seed for deterministic generation
-    let rng = new MathRandom(barrierSeed);
-    
-    // Wall material
-    const wallMaterial = new THREE.MeshStandardMaterial({ 
-      color: 0x888888,
-      roughness: 0.7,
-      metalness: 0.2
-    });
-    
-    // Create some random barriers
-    for (let i = 0; i < 15; i++) {
-      const width = 1 + rng.random() * 3;
-      const height = 1 + rng.random() * 3;
-      const depth = 1 + rng.random() * 3;
-      
-      const wallGeometry = new THREE.BoxGeometry(width, height, depth);
-      const wall = new THREE.Mesh(wallGeometry, wallMaterial);
-      
-      // Random position, but not too close to center
-      const angle = rng.random() * Math.PI * 2;
-      const distance = 5 + rng.random() * 15;
-      wall.position.x = Math.cos(angle) * distance;
-      wall.position.z = Math.sin(angle) * distance;
-      wall.position.y = height / 2;
-      
-      wall.castShadow = true;
-      wall.receiveShadow = true;
-      wall.userData.isBarrier = true;
-      
-      scene.add(wall);
-    }
-    
-    // Add some platform blocks at various heights
-    for (let i = 0; i < 10; i++) {
-      const platformGeo = new THREE.BoxGeometry(2, 0.5, 2);
-      const platform = new THREE.Mesh(platformGeo, wallMaterial);
-      
-      const angle = rng.random() * Math.PI * 2;
-      const distance = 5 + rng.random() * 15;
-      platform.position.x = Math.cos(angle) * distance;
-      platform.position.z = Math.sin(angle) * distance;
-      platform.position.y = 1 + rng.random() * 3;
-      
-      platform.castShadow = true;
-      platform.receiveShadow = true;
-      platform.userData.isBlock = true;
-      
-      scene.add(platform);
-    }
-  }
-  
-  createBarriers();
+  const world = buildLevel(scene, level);
   
   const renderer = new THREE.WebGLRenderer({ antialias: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  // Shadows and resolution are set by the graphics preset, see settings.js
   document.getElementById('game-container').appendChild(renderer.domElement);
   
-  // Initialize player controls
-  const playerControls = new PlayerControls(scene, room, {
-    renderer: renderer
+  function getPlayerName(clientId) {
+    if (clientId === transport.clientId) return profileScreen.profile.name;
+    const presence = transport.presence[clientId];
+    return (presence && sanitizeName(presence.name)) || 'Unknown';
+  }
+  
+  // Broadcast messages (chat, sounds and other events) share one dispatcher
+  const messageBus = new MessageBus(transport);
+  
+  // Shared time for moving platforms, kept by the lowest client id in the room
+  const roomClock = new RoomClock(messageBus, {
+    localId: transport.clientId,
+    getPeerIds: () => Object.keys(transport.presence)
   });
-  const camera = playerControls.getCamera();
   
-  // Ambient light
-  const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-  scene.add(ambientLight);
+  const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+  
+  // Positional sound effects, heard from the other players' avatars
+  const sounds = new SoundManager(camera, messageBus, {
+    localId: transport.clientId,
+    getPlayerObject: (clientId) => playerObjects.get(clientId)
+  });
   
-  // Directional light (sun)
-  const dirLight = new THREE.DirectionalLight(0xffffff, 1);
-  dirLight.position.set(5, 10, 5);
-  dirLight.castShadow = true;
-  dirLight.shadow.mapSize.width = 2048;
-  dirLight.shadow.mapSize.height = 2048;
-  dirLight.shadow.camera.near = 0.5;
-  dirLight.shadow.camera.far = 50;
-  dirLight.shadow.camera.left = -25;
-  dirLight.shadow.camera.right = 25;
-  dirLight.shadow.camera.top = 25;
-  dirLight.shadow.camera.bottom = -25;
-  scene.add(dirLight);
+  // Kill volumes, bounds and checkpoints follow the level through edits,
+  // syncs and replays
+  const triggers = new TriggerSystem(world.triggerVolumes, { bounds: world.bounds, killY: world.killY });
+  world.onLoad(() => triggers.setVolumes(world.triggerVolumes, { bounds: world.bounds, killY: world.killY }));
   
-  // Ground
-  const groundGeometry = new THREE.PlaneGeometry(50, 50);
-  const groundMaterial = new THREE.MeshStandardMaterial({ 
-    color: 0x55aa55,
-    roughness: 0.8,
-    metalness: 0.2
+  // Initialize player controls
+  const playerControls = new PlayerControls(scene, transport, {
+    camera: camera,
+    renderer: renderer,
+    sounds: sounds,
+    triggers,
+    getSpawnPoint: () => getSpawnPoint(),
+    notify: (text) => playerList.toast(text),
+    getPlatforms: () => world.platforms,
+    collisionWorld: world.collisionWorld,
+    spawnPoint: spawnPoint,
+    presencePublisher: presencePublisher,
+    // Spectators can follow any other visible player, or the recorded ones during a replay
+    getPlayers: () => (replayPlayer.isActive
+      ? replayPlayer.playerObjects
+      : new Map([...playerObjects].filter(([id, obj]) => id !== transport.clientId && obj.visible))),
+    getPlayerName
   });
-  const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-  ground.rotation.x = -Math.PI / 2; // Rotate to horizontal
-  ground.receiveShadow = true;
-  scene.add(ground);
-
-  // Grid helper for better spatial awareness
-  const gridHelper = new THREE.GridHelper(50, 50);
-  scene.add(gridHelper);
-
-  const onlineUsers = document.querySelector("#online-users");
-
+  // Mute and profile keys, rebindable like the movement keys
+  sounds.bindKeys(playerControls.input);
+  profileScreen.bindKeys(playerControls.input);
+  
+  // Sun, sky, fog and night lights from the room clock. Shadows are drawn
+  // around whoever the camera is on, and players carry a light at night.
+  const dayNight = new DayNightCycle(world, {
+    getFocus: () => (replayPlayer.isActive || playerControls.cameraRig.isSpectating
+      ? camera.position
+      : playerControls.renderPosition),
+    getLitPlayers: () => {
+      if (replayPlayer.isActive) return [...replayPlayer.playerObjects.values()];
+      return [...playerObjects].filter(([id, obj]) => (id === transport.clientId
+        ? !playerControls.cameraRig.isSpectating
+        : obj.visible)).map(([, obj]) => obj);
+    }
+  });
+  
+  // FOV, sensitivity, invert-Y, volume, graphics quality and night lights, applied as they change
+  const settingsPanel = new SettingsPanel({
+    // Phones get lighter graphics unless the player picks otherwise
+    defaults: { graphics: playerControls.isMobile ? "medium" : "high" },
+    sounds,
+    onChange: (settings) => applySettings(settings)
+  });
+  function applySettings(settings) {
+    playerControls.applySettings(settings);
+    applyGraphics(renderer, scene, world, settings.graphics);
+    dayNight.setAvatarLights(settings.avatarLights);
+  }
+  applySettings(settingsPanel.settings);
+  
+  // The panel comes up whenever the pointer is released, unless another panel took it
+  if (playerControls.controls) {
+    playerControls.controls.onLockChange((locked) => {
+      if (locked) {
+        settingsPanel.close();
+      } else if (!profileScreen.isOpen && !replayPanel.isOpen) {
+        settingsPanel.open();
+      }
+    });
+  }
+  
   // Map to store player objects in the scene
   const playerObjects = new Map();
 
-  // Function to create or update a player mesh
+  // Function to create or update a player avatar
   function updatePlayerObject(user) {
     if (!user || !user.presence) return;
     
@@ -194,175 +218,212 @@ async function main() {
     
     let playerObj = playerObjects.get(id);
   
-    // Create player mesh if it doesn't exist
+    // Names and looks come from other clients, so they are checked first
+    const name = sanitizeName(safePresence.name) || 'Unknown';
+    const appearance = sanitizeAppearance(safePresence);
+  
+    // Create player avatar if it doesn't exist
     if (!playerObj) {
-      // Don't create visible body for own player in first person
-      if (id === room.party.client.id) {
-        const playerGroup = new THREE.Group();
-        playerGroup.userData.id = id;
-        scene.add(playerGroup);
-        playerObjects.set(id, playerGroup);
-        playerObj = playerGroup;
+      const avatar = new Avatar({ ...appearance, name });
+      playerObj = avatar.object;
+      playerObj.userData.id = id;
+      playerObj.position.set(safePresence.x, safePresence.y, safePresence.z);
+      avatar.setOrientation(new THREE.Quaternion().fromArray(safePresence.quaternion));
+      
+      if (id === transport.clientId) {
+        // Our own body is only shown by the third-person camera, and is
+        // driven straight from the local simulation in updateLocalPlayer()
+        avatar.nameTag.visible = false;
+        playerObj.visible = false;
       } else {
-        // Create body for other players
-        const bodyGeometry = new THREE.BoxGeometry(0.6, 1, 0.6);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ color: safePresence.color });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        
-        // Head
-        const headGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-        const headMaterial = new THREE.MeshStandardMaterial({ color: safePresence.color });
-        const head = new THREE.Mesh(headGeometry, headMaterial);
-        head.position.y = 0.75;
-        head.castShadow = true;
-        head.name = "head";
-
-        // Eyes (now on front of head)
-        const eyeGeometry = new THREE.SphereGeometry(0.08, 16, 16);
-        const eyeMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-        
-        // Left eye
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(0.1, 0.1, -0.25); // Pulled back from -0.3 to -0.25
-        
-        // Right eye
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(-0.1, 0.1, -0.25); // Pulled back from -0.3 to -0.25
-        
-        // Eye pupils
-        const pupilGeometry = new THREE.SphereGeometry(0.04, 16, 16);
-        const pupilMaterial = new THREE.MeshBasicMaterial({ color: 0x000000 });
-        
-        // Left pupil
-        const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        leftPupil.position.set(0.1, 0.1, -0.3); // Pulled back from -0.35 to -0.3
-        
-        // Right pupil
-        const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        rightPupil.position.set(-0.1, 0.1, -0.3); // Pulled back from -0.35 to -0.3
-        
-        // Nose (updated dimensions)
-        const noseGeometry = new THREE.ConeGeometry(0.08, 0.15, 4); 
-        const noseMaterial = new THREE.MeshBasicMaterial({ color: safePresence.color }); 
-        const nose = new THREE.Mesh(noseGeometry, noseMaterial);
-        nose.rotation.x = -Math.PI / 2; // Point backward
-        nose.position.set(0, 0, -0.26); // Center on back of face
-
-        // Add eyes and nose to head
-        head.add(leftEye);
-        head.add(rightEye);
-        head.add(leftPupil);
-        head.add(rightPupil);
-        head.add(nose);
-        
-        // Create nametag sprite
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = 256;
-        canvas.height = 64;
-        
-        // Draw name text
-        context.font = 'bold 32px Arial';
-        context.fillStyle = 'white';
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        
-        // Draw with black outline
-        context.strokeStyle = 'black';
-        context.lineWidth = 4;
-        context.strokeText(safePresence.name, canvas.width/2, canvas.height/2);
-        context.fillText(safePresence.name, canvas.width/2, canvas.height/2);
-        
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.minFilter = THREE.LinearFilter;
-        const spriteMaterial = new THREE.SpriteMaterial({ 
-          map: texture,
-          transparent: true,
-          depthTest: true,
-          depthWrite: false
-        });
-        
-        const nameSprite = new THREE.Sprite(spriteMaterial);
-        nameSprite.scale.set(2, 0.5, 1);
-        nameSprite.position.y = 2; // Position above head
-        nameSprite.name = "nameTag";
-        
-        // Group all parts together
-        const playerGroup = new THREE.Group();
-        playerGroup.userData.id = id;
-        playerGroup.add(body);
-        playerGroup.add(head);
-        playerGroup.add(nameSprite);
-        
-        scene.add(playerGroup);
-        playerObjects.set(id, playerGroup);
-        playerObj = playerGroup;
+        playerObj.userData.snapshots = new SnapshotBuffer();
       }
+      
+      scene.add(playerObj);
+      playerObjects.set(id, playerObj);
     }
 
-    // Update name if it changed
-    if (playerObj && id !== room.party.client.id) {
-      const nameTag = playerObj.getObjectByName("nameTag");
-      if (nameTag && nameTag.material.map) {
-        const currentName = safePresence.name;
-        const canvas = nameTag.material.map.image;
-        const context = canvas.getContext('2d');
-        
-        // Only update if name changed
-        if (!nameTag.userData || !nameTag.userData.currentName || nameTag.userData.currentName !== currentName) {
-          // Clear canvas
-          context.clearRect(0, 0, canvas.width, canvas.height);
-          
-          // Redraw name
-          context.font = 'bold 32px Arial';
-          context.fillStyle = 'white';
-          context.textAlign = 'center';
-          context.textBaseline = 'middle';
-          
-          context.strokeStyle = 'black';
-          context.lineWidth = 4;
-          context.strokeText(currentName, canvas.width/2, canvas.height/2);
-          context.fillText(currentName, canvas.width/2, canvas.height/2);
-          
-          nameTag.material.map.needsUpdate = true;
-          nameTag.userData = nameTag.userData || {};
-          nameTag.userData.currentName = currentName;
-        }
-      }
+    const avatar = playerObj.userData.avatar;
+    if (id !== transport.clientId) {
+      // Redraw the name tag and rebuild the look when they change
+      avatar.setName(name);
+      avatar.setAppearance(appearance);
+      // Spectators fly around without a body
+      playerObj.visible = !safePresence.spectating;
     }
 
-    // Update player position and rotation
-    if (playerObj) {
-      playerObj.position.set(safePresence.x, safePresence.y, safePresence.z);
-      
-      if (safePresence.quaternion) {
-        playerObj.quaternion.fromArray(safePresence.quaternion);
-      }
-      
-      // Make nametag always face camera
-      const nameTag = playerObj.getObjectByName("nameTag");
-      if (nameTag) {
-        nameTag.quaternion.copy(camera.quaternion);
+    // Crouching and sliding players are drawn shorter
+    avatar.setMovement(safePresence.movement);
+
+    // Record a snapshot; the avatar itself is moved in updateRemotePlayers()
+    const snapshots = playerObj && playerObj.userData.snapshots;
+    if (snapshots) {
+      const position = [safePresence.x, safePresence.y, safePresence.z];
+      const quaternion = safePresence.quaternion || [0, 0, 0, 1];
+      if (safePresence.respawns !== playerObj.userData.respawns) {
+        // Respawned: jump straight there instead of sliding across the map
+        playerObj.userData.respawns = safePresence.respawns;
+        snapshots.reset(performance.now(), position, quaternion);
+        avatar.resetMotion();
+      } else if (snapshots.differs(position, quaternion)) {
+        snapshots.push(performance.now(), position, quaternion);
       }
     }
   }
 
+  // Render remote players slightly in the past, interpolating between snapshots
+  const sampledQuaternion = new THREE.Quaternion();
+  
+  function updateRemotePlayers(frameTime) {
+    const renderTime = performance.now() - RENDER_DELAY;
+    
+    playerObjects.forEach(playerObj => {
+      const snapshots = playerObj.userData.snapshots;
+      if (!snapshots) return;
+      
+      // Body turns with the yaw, the head with the pitch
+      const avatar = playerObj.userData.avatar;
+      snapshots.sample(renderTime, playerObj.position, sampledQuaternion);
+      avatar.setOrientation(sampledQuaternion);
+      avatar.update(frameTime, camera);
+    });
+  }
+
+  // Our own avatar follows the interpolated local player, visible in third person
+  function updateLocalPlayer(frameTime) {
+    const playerObj = playerObjects.get(transport.clientId);
+    if (!playerObj) return;
+    
+    const avatar = playerObj.userData.avatar;
+    playerObj.visible = playerControls.cameraRig.mode === "thirdPerson";
+    playerObj.position.copy(playerControls.renderPosition);
+    avatar.setOrientation(camera.quaternion);
+    avatar.setMovement(playerControls.state.movement);
+    avatar.update(frameTime, camera);
+  }
+
   // Remove disconnected players
   function removePlayerObject(connectionId) {
     const playerObj = playerObjects.get(connectionId);
     if (playerObj) {
       scene.remove(playerObj);
+      playerObj.userData.avatar.dispose();
       playerObjects.delete(connectionId);
     }
   }
 
+  const chat = new Chat(messageBus, {
+    localId: transport.clientId,
+    getName: getPlayerName,
+    onMessage: (clientId, text) => {
+      // Our own bubble only shows when the third-person camera shows our body
+      const playerObj = playerObjects.get(clientId);
+      if (playerObj) {
+        showSpeechBubble(playerObj, text);
+      }
+    }
+  });
+
+  // Collaborative level editing, kept in sync through the room
+  const editor = new LevelEditor(world, messageBus, camera, {
+    localId: transport.clientId,
+    palette: COLORS,
+    getPeerIds: () => Object.keys(transport.presence),
+    input: playerControls.input,
+    // During a replay the live level waits in the replay player, and room
+    // edits go there instead of into the replay's level
+    getHeldLevel: () => (replayPlayer.isActive ? replayPlayer.liveLevel : null),
+    setHeldLevel: (level) => {
+      replayPlayer.liveLevel = level;
+    }
+  });
+
+  // Top-down map of the level and everyone on it
+  const minimap = new Minimap(world, {
+    localId: transport.clientId,
+    getPlayerObjects: () => playerObjects,
+    getLocalView: () => {
+      // Spectators see where the camera is, players where their body is
+      const position = playerControls.cameraRig.isSpectating ? camera.position : playerControls.renderPosition;
+      return { x: position.x, z: position.z, yaw: playerControls.orientation.yaw };
+    },
+    input: playerControls.input
+  });
+
+  // Draw calls, triangles and memory (` to show), and ?bots=N simulated
+  // players to see what a full room costs
+  const renderStats = new RenderStats(renderer, {
+    input: playerControls.input,
+    getPlayerCount: () => playerObjects.size,
+    getNetworkStats: () => presencePublisher.stats
+  });
+  const bots = new SimulatedPlayers(getBotCount(), {
+    getSpawnPoints: () => world.spawnPoints,
+    palette: COLORS,
+    onPresence: (id, presence) => updatePlayerObject({ id, presence })
+  });
+
+  // Who's here, with their latency; click a name to spectate them
+  const playerList = new PlayerList(transport, messageBus, {
+    localId: transport.clientId,
+    onSelect: (clientId) => playerControls.spectate(clientId)
+  });
+
+  // Tag rounds, run by the lowest client id in the room
+  const game = new GameManager(messageBus, {
+    mode: "tag",
+    localId: transport.clientId,
+    getPeerIds: () => Object.keys(transport.presence),
+    getPresence: (clientId) => transport.presence[clientId],
+    getPlayerObjects: () => playerObjects,
+    getLocalPosition: () => (playerControls.cameraRig.isSpectating ? null : playerControls.position),
+    getPlayerName
+  });
+
+  // Session recordings, offline replays and ghosts of past runs
+  const recorder = new Recorder({
+    localId: transport.clientId,
+    getLevel: () => world.toLevel(),
+    getRoomTime: () => roomClock.now()
+  });
+  const replayPlayer = new ReplayPlayer(world, camera, {
+    // Watch with the free camera, then back into our body
+    onStart: () => playerControls.cameraRig.setMode("spectator"),
+    onStop: () => playerControls.cameraRig.setMode("firstPerson")
+  });
+  const replayPanel = new ReplayPanel(recorder, replayPlayer, {
+    input: playerControls.input,
+    scene,
+    camera,
+    onSpectate: (id) => {
+      if (id) {
+        playerControls.spectate(id);
+      } else {
+        playerControls.cameraRig.stopFollowing();
+        playerControls.updateCameraLabel();
+      }
+    }
+  });
+
+  // Our own avatar for the third-person camera
+  updatePlayerObject({
+    id: transport.clientId,
+    presence: { x: spawnPoint.x, y: spawnPoint.y, z: spawnPoint.z, ...profileScreen.profile }
+  });
+  applyProfile = (profile) => {
+    presencePublisher.set(profile);
+    const playerObj = playerObjects.get(transport.clientId);
+    if (playerObj) playerObj.userData.avatar.setAppearance(profile);
+  };
+
   // Subscribe to presence changes
-  room.party.subscribePresence((presence) => {
+  transport.subscribePresence((presence) => {
+    recorder.recordPresence(presence);
+    
     // Handle presence updates and create/update players
     Object.keys(presence).forEach(clientId => {
       // Always update non-self players to catch name changes
-      if (clientId !== room.party.client.id && presence[clientId]) {
+      if (clientId !== transport.clientId && presence[clientId]) {
         updatePlayerObject({
           id: clientId,
           presence: presence[clientId]
@@ -372,22 +433,75 @@ async function main() {
     
     // Remove players whose presence is no longer available
     playerObjects.forEach((obj, connectionId) => {
-      if (connectionId !== room.party.client.id && !presence[connectionId]) {
+      if (connectionId !== transport.clientId && !presence[connectionId] && !bots.has(connectionId)) {
         removePlayerObject(connectionId);
       }
     });
   });
 
-  // Animation loop
+  // Animation loop: physics is stepped at FIXED_TIMESTEP using an accumulator,
+  // rendering interpolates between the last two physics states
+  const clock = new THREE.Clock();
+  let accumulator = 0;
+  
   function animate() {
     requestAnimationFrame(animate);
     
-    playerControls.update();
+    const now = performance.now();
+    const frameTime = Math.min(clock.getDelta(), MAX_FRAME_TIME);
+    accumulator += frameTime;
+    // Each step moves the platforms to the room time at its end; a replay
+    // moves them itself
+    const roomTime = roomClock.now() / 1000;
+    while (accumulator >= FIXED_TIMESTEP) {
+      accumulator -= FIXED_TIMESTEP;
+      if (!replayPlayer.isActive) world.platforms.update(roomTime - accumulator);
+      playerControls.fixedUpdate(FIXED_TIMESTEP);
+      recorder.recordLocal(
+        playerControls.state,
+        camera.quaternion,
+        playerControls.lastInput,
+        playerControls.cameraRig.isSpectating,
+        profileScreen.profile,
+        now - accumulator * 1000
+      );
+    }
+    
+    playerControls.update(accumulator / FIXED_TIMESTEP, frameTime);
+    presencePublisher.update(now);
+    if (replayPlayer.isActive) {
+      // Only the recorded players are shown
+      replayPlayer.update(frameTime);
+      playerObjects.forEach(playerObj => {
+        playerObj.visible = false;
+      });
+    } else {
+      world.platforms.render(accumulator / FIXED_TIMESTEP);
+      bots.update(now);
+      updateRemotePlayers(frameTime);
+      updateLocalPlayer(frameTime);
+    }
+    dayNight.update(replayPlayer.isActive ? replayPlayer.roomTime : roomTime);
+    replayPanel.update(now, frameTime);
+    updateSpeechBubbles(playerObjects);
+    editor.update();
+    game.update(now);
+    minimap.update();
     
     renderer.render(scene, camera);
+    renderStats.update(now, frameTime);
   }
 
   animate();
 }
 
-main();
+// Nothing to play without a room: say so instead of leaving a blank page
+function showStartupError(error) {
+  console.error("Could not start the game:", error);
+  const message = document.createElement("div");
+  message.className = "startup-error";
+  message.textContent = `Could not start the game: ${error.message}. Reload the page to try again.`;
+  document.body.appendChild(message);
+}
+
+main().catch(showStartupError);
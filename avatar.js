@@ -0,0 +1,435 @@
+import * as THREE from "three";
+
+// Blocky player avatar: the body turns with the view's yaw, the head tilts with
+// its pitch, and arms and legs swing with how fast the avatar moves. The root
+// object sits at the player's y (body centre, half a unit above the feet) and
+// is never rotated, so name tags and speech bubbles stay upright. Colour, hat
+// and eye style come from the player's profile (see profile.js).
+//
+// Geometries are shared by every avatar and kept for the whole session.
+// Materials are shared by avatars of the same colour, one reference per mesh,
+// and freed by dispose() when the last mesh using them goes.
+
+// Hips at the root's origin, feet half a unit below
+const LEG_LENGTH = 0.5;
+const ARM_LENGTH = 0.45;
+const SHOULDER_Y = 0.45;
+const HEAD_Y = 0.75;
+
+// Walk cycle: radians of stride per unit travelled, and the swing at full speed
+const STRIDE_RATE = 3.2;
+const MAX_LEG_SWING = 0.7;
+const MAX_ARM_SWING = 0.6;
+// Speed (units per second) at which the swing reaches its maximum
+const FULL_SWING_SPEED = 5;
+// Vertical speed above which the avatar counts as airborne
+const AIRBORNE_SPEED = 1.5;
+// Length of the landing squash in seconds
+const LAND_DURATION = 0.2;
+// How quickly limbs ease towards their target pose (per second)
+const POSE_SMOOTHING = 14;
+
+// How far the hips drop and the body leans for each movement state
+const MOVEMENT_POSES = {
+  walk: { drop: 0, lean: 0, legs: 0 },
+  sprint: { drop: 0, lean: 0.15, legs: 0 },
+  crouch: { drop: 0.25, lean: 0.2, legs: 0 },
+  // Legs out in front, leaning back
+  slide: { drop: 0.4, lean: -0.4, legs: 1.3 }
+};
+
+// Hats as parts on top of the head (the head's top is at y 0.25)
+const HAT_PARTS = {
+  none: [],
+  cap: [
+    { geometry: () => new THREE.BoxGeometry(0.54, 0.12, 0.54), color: "#3050c0", position: [0, 0.31, 0] },
+    { geometry: () => new THREE.BoxGeometry(0.5, 0.03, 0.25), color: "#3050c0", position: [0, 0.265, -0.37] }
+  ],
+  tophat: [
+    { geometry: () => new THREE.CylinderGeometry(0.32, 0.32, 0.03, 24), color: "#222222", position: [0, 0.265, 0] },
+    { geometry: () => new THREE.CylinderGeometry(0.2, 0.2, 0.35, 24), color: "#222222", position: [0, 0.45, 0] }
+  ],
+  beanie: [
+    { geometry: () => new THREE.SphereGeometry(0.3, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2), color: "#c03030", position: [0, 0.18, 0] },
+    { geometry: () => new THREE.SphereGeometry(0.07, 8, 8), color: "#ffffff", position: [0, 0.5, 0] }
+  ],
+  party: [
+    { geometry: () => new THREE.ConeGeometry(0.16, 0.4, 16), color: "#f0c020", position: [0, 0.45, 0] }
+  ]
+};
+
+const geometries = new Map();
+// "standard:#rrggbb" or "basic:#rrggbb" -> material, and each material's users
+const materials = new Map();
+const materialUsers = new Map();
+
+function sharedGeometry(key, create) {
+  if (!geometries.has(key)) geometries.set(key, create());
+  return geometries.get(key);
+}
+
+// Lit ("standard") or unlit ("basic") material of a colour, with one more user
+function useMaterial(type, color) {
+  const key = `${type}:${color}`;
+  if (!materials.has(key)) {
+    const material = type === "basic"
+      ? new THREE.MeshBasicMaterial({ color })
+      : new THREE.MeshStandardMaterial({ color });
+    materials.set(key, material);
+    materialUsers.set(material, { key, users: 0 });
+  }
+  const material = materials.get(key);
+  materialUsers.get(material).users++;
+  return material;
+}
+
+// Drop one user of a shared material; materials that aren't shared are freed at once
+function releaseMaterial(material) {
+  const entry = materialUsers.get(material);
+  if (entry) {
+    entry.users--;
+    if (entry.users > 0) return;
+    materials.delete(entry.key);
+    materialUsers.delete(material);
+  }
+  material.dispose();
+}
+
+export class Avatar {
+  constructor(options = {}) {
+    this.color = options.color || "#FFFFFF";
+    this.name = null;
+
+    this.object = new THREE.Group();
+    this.object.userData.avatar = this;
+
+    // Everything that turns with the view's yaw
+    this.body = new THREE.Group();
+    this.object.add(this.body);
+
+    // Torso above the hips
+    const torso = new THREE.Mesh(
+      sharedGeometry("torso", () => new THREE.BoxGeometry(0.6, 0.5, 0.35)),
+      useMaterial("standard", this.color)
+    );
+    torso.position.y = 0.25;
+    torso.castShadow = true;
+    torso.name = "body";
+    this.torso = torso;
+    this.body.add(torso);
+
+    // Head with face, tilted by the view's pitch; eyes and hat are added by setAppearance()
+    this.head = createHead(this.color);
+    this.head.position.y = HEAD_Y;
+    this.body.add(this.head);
+    this.eyes = null;
+    this.hat = null;
+    this.setAppearance({ hat: options.hat, eyes: options.eyes });
+
+    // Limbs hang from pivots at the hips and shoulders
+    this.leftLeg = createLimb(0.22, LEG_LENGTH, this.color, -0.15, 0);
+    this.rightLeg = createLimb(0.22, LEG_LENGTH, this.color, 0.15, 0);
+    this.leftArm = createLimb(0.15, ARM_LENGTH, this.color, -0.38, SHOULDER_Y);
+    this.rightArm = createLimb(0.15, ARM_LENGTH, this.color, 0.38, SHOULDER_Y);
+    [this.leftLeg, this.rightLeg, this.leftArm, this.rightArm].forEach(limb => this.body.add(limb));
+
+    this.nameTag = createNameTag();
+    this.nameTag.position.y = 2; // Position above head
+    this.object.add(this.nameTag);
+    this.setName(options.name || "Unknown");
+
+    // Animation state
+    this.movement = "walk";
+    this.pitch = 0;
+    this.phase = 0;
+    this.swing = 0;
+    this.airborne = 0;
+    this.landTimer = 0;
+    this.lastPosition = null;
+    this.euler = new THREE.Euler(0, 0, 0, "YXZ");
+  }
+
+  setName(name) {
+    if (name === this.name) return;
+    this.name = name;
+
+    const texture = this.nameTag.material.map;
+    const canvas = texture.image;
+    const context = canvas.getContext("2d");
+    context.clearRect(0, 0, canvas.width, canvas.height);
+
+    context.font = "bold 32px Arial";
+    context.fillStyle = "white";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    // Draw with black outline
+    context.strokeStyle = "black";
+    context.lineWidth = 4;
+    context.strokeText(name, canvas.width / 2, canvas.height / 2);
+    context.fillText(name, canvas.width / 2, canvas.height / 2);
+
+    texture.needsUpdate = true;
+  }
+
+  // Change colour, hat and eyes; parts are only rebuilt when they change
+  setAppearance({ color, hat = "none", eyes = "round" }) {
+    if (color && color !== this.color) {
+      // Move every skin-coloured mesh over to the new colour's materials
+      const skin = this.torso.material;
+      const nose = this.nose.material;
+      this.color = color;
+      this.body.traverse(child => {
+        if (child.material === skin) {
+          child.material = useMaterial("standard", color);
+          releaseMaterial(skin);
+        } else if (child.material === nose) {
+          child.material = useMaterial("basic", color);
+          releaseMaterial(nose);
+        }
+      });
+    }
+
+    if (!this.eyes || this.eyes.userData.style !== eyes) {
+      disposePart(this.eyes);
+      this.eyes = createEyes(eyes, this.color);
+      this.head.add(this.eyes);
+    }
+
+    if (!this.hat || this.hat.userData.style !== hat) {
+      disposePart(this.hat);
+      this.hat = createHat(hat);
+      this.head.add(this.hat);
+    }
+  }
+
+  get nose() {
+    return this.head.getObjectByName("nose");
+  }
+
+  // Give every mesh its own copy of its material, e.g. to change the copies
+  // without touching other avatars of the same colour
+  useOwnMaterials() {
+    this.body.traverse(child => {
+      if (!child.isMesh) return;
+      const shared = child.material;
+      child.material = shared.clone();
+      releaseMaterial(shared);
+    });
+  }
+
+  // Free everything this avatar doesn't share: call after removing it from the scene
+  dispose() {
+    this.body.traverse(child => {
+      if (child.isMesh) releaseMaterial(child.material);
+    });
+    // Name tag and speech bubbles draw to their own canvases
+    this.object.children.forEach(child => {
+      if (!child.isSprite) return;
+      if (child.material.map) child.material.map.dispose();
+      child.material.dispose();
+    });
+    // Positional sounds hung on us by playAt() (sound.js) stay wired to the
+    // listener until disconnected
+    this.object.children.filter(child => child.isAudio).forEach(sound => {
+      if (sound.isPlaying) sound.stop();
+      sound.disconnect();
+      sound.gain.disconnect();
+      this.object.remove(sound);
+    });
+    delete this.object.userData.sounds;
+  }
+
+  setMovement(movement) {
+    this.movement = MOVEMENT_POSES[movement] ? movement : "walk";
+  }
+
+  // Split a view quaternion into body yaw and head pitch
+  setOrientation(quaternion) {
+    this.euler.setFromQuaternion(quaternion, "YXZ");
+    this.body.rotation.y = this.euler.y;
+    this.pitch = this.euler.x;
+  }
+
+  // Forget the last position after a teleport, so it doesn't look like a sprint
+  resetMotion() {
+    this.lastPosition = null;
+  }
+
+  // Animate from how far the avatar moved since the last frame
+  update(delta, camera) {
+    const position = this.object.position;
+    let speed = 0;
+    let verticalSpeed = 0;
+    if (this.lastPosition && delta > 0) {
+      speed = Math.hypot(position.x - this.lastPosition.x, position.z - this.lastPosition.z) / delta;
+      verticalSpeed = (position.y - this.lastPosition.y) / delta;
+    } else {
+      this.lastPosition = new THREE.Vector3();
+    }
+    this.lastPosition.copy(position);
+
+    const ease = 1 - Math.exp(-POSE_SMOOTHING * delta);
+
+    // Airborne while moving up or down quickly; landing squashes briefly
+    const airborne = Math.abs(verticalSpeed) > AIRBORNE_SPEED ? 1 : 0;
+    if (!airborne && this.airborne > 0.5) this.landTimer = LAND_DURATION;
+    this.airborne += (airborne - this.airborne) * ease;
+    this.landTimer = Math.max(0, this.landTimer - delta);
+
+    // Stride advances with distance so feet don't slide at any speed
+    const grounded = 1 - this.airborne;
+    const targetSwing = Math.min(1, speed / FULL_SWING_SPEED) * grounded;
+    this.swing += (targetSwing - this.swing) * ease;
+    this.phase += speed * delta * STRIDE_RATE;
+
+    const pose = MOVEMENT_POSES[this.movement];
+    const sliding = this.movement === "slide";
+    const legSwing = sliding ? 0 : Math.sin(this.phase) * MAX_LEG_SWING * this.swing;
+    const armSwing = sliding ? 0 : Math.sin(this.phase) * MAX_ARM_SWING * this.swing;
+
+    // Jump: knees tucked forward and arms raised
+    const tuck = this.airborne * 0.5;
+    const raise = this.airborne * 2.4;
+    // Land: hips dip at the start of the squash
+    const land = this.landTimer > 0 ? Math.sin((this.landTimer / LAND_DURATION) * Math.PI) * 0.12 : 0;
+
+    const drop = pose.drop + land;
+    this.body.position.y += (-drop - this.body.position.y) * ease;
+    this.torso.rotation.x += (-pose.lean - this.torso.rotation.x) * ease;
+
+    // Crouched legs are drawn shorter so the feet stay on the ground
+    const legScale = Math.max(0.2, (LEG_LENGTH - drop) / LEG_LENGTH);
+    this.leftLeg.scale.y = sliding ? 1 : legScale;
+    this.rightLeg.scale.y = sliding ? 1 : legScale;
+
+    this.leftLeg.rotation.x += (legSwing + tuck + pose.legs - this.leftLeg.rotation.x) * ease;
+    this.rightLeg.rotation.x += (-legSwing + tuck * 0.4 + pose.legs - this.rightLeg.rotation.x) * ease;
+    this.leftArm.rotation.x += (-armSwing + raise - this.leftArm.rotation.x) * ease;
+    this.rightArm.rotation.x += (armSwing + raise - this.rightArm.rotation.x) * ease;
+
+    this.head.rotation.x = this.pitch;
+
+    // Name tag faces the camera
+    if (camera) {
+      this.nameTag.quaternion.copy(camera.quaternion);
+    }
+  }
+}
+
+function createHead(color) {
+  const head = new THREE.Group();
+  head.name = "head";
+
+  const skull = new THREE.Mesh(
+    sharedGeometry("skull", () => new THREE.BoxGeometry(0.5, 0.5, 0.5)),
+    useMaterial("standard", color)
+  );
+  skull.castShadow = true;
+  head.add(skull);
+
+  const nose = new THREE.Mesh(
+    sharedGeometry("nose", () => new THREE.ConeGeometry(0.08, 0.15, 4)),
+    useMaterial("basic", color)
+  );
+  nose.name = "nose";
+  nose.rotation.x = -Math.PI / 2;
+  nose.position.set(0, 0, -0.26);
+  head.add(nose);
+
+  return head;
+}
+
+// Eyes on the front of the head (-z). Sleepy lids are skin-coloured.
+function createEyes(style, color) {
+  const eyes = new THREE.Group();
+  eyes.name = "eyes";
+  eyes.userData.style = style;
+
+  const eyeRadius = style === "wide" ? 0.11 : 0.08;
+  const pupilRadius = style === "wide" ? 0.05 : style === "dots" ? 0.045 : 0.04;
+  const pupilZ = style === "dots" ? -0.26 : -0.25 - eyeRadius + 0.03;
+  const sphere = (radius) => sharedGeometry(`sphere:${radius}`, () => new THREE.SphereGeometry(radius, 16, 16));
+
+  [0.1, -0.1].forEach(x => {
+    if (style !== "dots") {
+      const eye = new THREE.Mesh(sphere(eyeRadius), useMaterial("basic", "#ffffff"));
+      eye.position.set(x, 0.1, -0.25);
+      eyes.add(eye);
+    }
+
+    const pupil = new THREE.Mesh(sphere(pupilRadius), useMaterial("basic", "#000000"));
+    pupil.position.set(x, 0.1, pupilZ);
+    eyes.add(pupil);
+
+    if (style === "sleepy") {
+      // Half-closed lid over the top of the eye
+      const lid = new THREE.Mesh(
+        sharedGeometry("lid", () => new THREE.BoxGeometry(0.19, 0.09, 0.12)),
+        useMaterial("standard", color)
+      );
+      lid.position.set(x, 0.15, -0.28);
+      eyes.add(lid);
+    }
+  });
+
+  return eyes;
+}
+
+function createHat(style) {
+  const hat = new THREE.Group();
+  hat.name = "hat";
+  hat.userData.style = style;
+
+  HAT_PARTS[style].forEach((part, i) => {
+    const mesh = new THREE.Mesh(sharedGeometry(`hat:${style}:${i}`, part.geometry), useMaterial("standard", part.color));
+    mesh.position.fromArray(part.position);
+    mesh.castShadow = true;
+    hat.add(mesh);
+  });
+
+  return hat;
+}
+
+// Remove a rebuilt part from its parent and release its materials
+function disposePart(part) {
+  if (!part) return;
+  if (part.parent) part.parent.remove(part);
+  part.traverse(child => {
+    if (child.isMesh) releaseMaterial(child.material);
+  });
+}
+
+// A box hanging down from a pivot at (x, y), so rotating the pivot swings it
+function createLimb(width, length, color, x, y) {
+  const pivot = new THREE.Group();
+  pivot.position.set(x, y, 0);
+
+  const mesh = new THREE.Mesh(
+    sharedGeometry(`limb:${width}:${length}`, () => new THREE.BoxGeometry(width, length, width)),
+    useMaterial("standard", color)
+  );
+  mesh.position.y = -length / 2;
+  mesh.castShadow = true;
+  pivot.add(mesh);
+
+  return pivot;
+}
+
+function createNameTag() {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 64;
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.minFilter = THREE.LinearFilter;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: true,
+    depthWrite: false
+  }));
+  sprite.scale.set(2, 0.5, 1);
+  sprite.name = "nameTag";
+  return sprite;
+}
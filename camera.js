@@ -0,0 +1,142 @@
+import * as THREE from "three";
+
+// Camera modes, in the order the camera key cycles through them
+export const CAMERA_MODES = ["firstPerson", "thirdPerson", "spectator"];
+
+export const CAMERA_MODE_LABELS = {
+  firstPerson: "First person",
+  thirdPerson: "Third person",
+  spectator: "Spectator"
+};
+
+// Third-person camera distance behind the head, and how close it may get to a wall
+const THIRD_PERSON_DISTANCE = 4;
+const MIN_DISTANCE = 0.4;
+const CAMERA_RADIUS = 0.2;
+// How quickly the camera backs out again after a wall pushed it in (per second)
+const ZOOM_OUT_SMOOTHING = 6;
+// Height of the followed player's head above its position
+const FOLLOW_PIVOT_HEIGHT = 0.75;
+
+// Free flight speeds in units per second
+const FLY_SPEED = 8;
+const FLY_SPRINT_SPEED = 20;
+
+// Places the camera for the current mode. The view direction always comes from
+// the shared LookOrientation in look.js; the rig only decides where the camera sits.
+export class CameraRig {
+  constructor(camera, collisionWorld) {
+    this.camera = camera;
+    this.collisionWorld = collisionWorld;
+    this.mode = "firstPerson";
+    this.listeners = new Set();
+
+    // Current third-person distance after wall avoidance
+    this.distance = THIRD_PERSON_DISTANCE;
+
+    // Spectator state: free flight position, or the object being followed
+    this.flyPosition = new THREE.Vector3();
+    this.previousFlyPosition = new THREE.Vector3();
+    this.followTarget = null;
+    this.followId = null;
+
+    this.forward = new THREE.Vector3();
+    this.right = new THREE.Vector3();
+    this.pivot = new THREE.Vector3();
+  }
+
+  // Called with (mode, previousMode) after every change; returns unsubscribe
+  onModeChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  setMode(mode) {
+    if (!CAMERA_MODES.includes(mode) || mode === this.mode) return;
+
+    const previousMode = this.mode;
+    this.mode = mode;
+    if (mode === "spectator") {
+      // Start flying from wherever the camera is now
+      this.flyPosition.copy(this.camera.position);
+      this.previousFlyPosition.copy(this.flyPosition);
+    } else {
+      this.stopFollowing();
+    }
+    this.distance = THIRD_PERSON_DISTANCE;
+    this.listeners.forEach(callback => callback(mode, previousMode));
+  }
+
+  nextMode() {
+    const index = CAMERA_MODES.indexOf(this.mode);
+    this.setMode(CAMERA_MODES[(index + 1) % CAMERA_MODES.length]);
+  }
+
+  follow(id, target) {
+    this.followId = id;
+    this.followTarget = target;
+  }
+
+  stopFollowing() {
+    if (this.followTarget) {
+      // Keep flying from the follow camera's position
+      this.flyPosition.copy(this.camera.position);
+      this.previousFlyPosition.copy(this.flyPosition);
+    }
+    this.followId = null;
+    this.followTarget = null;
+  }
+
+  get isSpectating() {
+    return this.mode === "spectator";
+  }
+
+  // Free flight for one fixed step. move: { forward, right, up } in -1..1
+  fly(move, fast, delta) {
+    this.previousFlyPosition.copy(this.flyPosition);
+    if (this.followTarget) return;
+
+    // Fly where the camera looks, including up and down
+    this.camera.getWorldDirection(this.forward);
+    this.right.crossVectors(this.forward, this.camera.up).normalize();
+
+    const speed = (fast ? FLY_SPRINT_SPEED : FLY_SPEED) * delta;
+    this.flyPosition.addScaledVector(this.forward, move.forward * speed);
+    this.flyPosition.addScaledVector(this.right, move.right * speed);
+    this.flyPosition.y += move.up * speed;
+  }
+
+  // Position the camera for this frame. eyePosition is the local player's
+  // interpolated eye, alpha the fraction of a fixed step for flight.
+  update(eyePosition, alpha, frameTime) {
+    if (this.mode === "firstPerson") {
+      this.camera.position.copy(eyePosition);
+    } else if (this.mode === "thirdPerson") {
+      this.placeBehind(eyePosition, frameTime);
+    } else if (this.followTarget) {
+      this.pivot.copy(this.followTarget.position);
+      this.pivot.y += FOLLOW_PIVOT_HEIGHT;
+      this.placeBehind(this.pivot, frameTime);
+    } else {
+      this.camera.position.lerpVectors(this.previousFlyPosition, this.flyPosition, alpha);
+    }
+  }
+
+  // Orbit camera behind the pivot along the view direction, pulled in front of
+  // any collider between the two
+  placeBehind(pivot, frameTime) {
+    this.camera.getWorldDirection(this.forward).negate();
+
+    const hit = this.collisionWorld.raycast(pivot, this.forward, THIRD_PERSON_DISTANCE + CAMERA_RADIUS);
+    const allowed = Math.max(MIN_DISTANCE, Math.min(THIRD_PERSON_DISTANCE, hit - CAMERA_RADIUS));
+
+    if (allowed < this.distance) {
+      // Snap in so the camera never clips through the wall
+      this.distance = allowed;
+    } else {
+      this.distance += (allowed - this.distance) * (1 - Math.exp(-ZOOM_OUT_SMOOTHING * frameTime));
+    }
+
+    this.camera.position.copy(pivot).addScaledVector(this.forward, this.distance);
+  }
+}
@@ -0,0 +1,274 @@
+import * as THREE from "three";
+
+export const MAX_MESSAGE_LENGTH = 200;
+const MAX_LOG_ENTRIES = 50;
+const BUBBLE_DURATION = 6000; // ms
+const BUBBLE_MAX_CHARS = 80;
+
+// Token bucket: `capacity` messages at once, refilled at one per `interval` ms
+const RATE_LIMIT_CAPACITY = 5;
+const RATE_LIMIT_INTERVAL = 2000;
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Trim, collapse whitespace and cut to the maximum length
+export function cleanMessage(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_MESSAGE_LENGTH);
+}
+
+export class RateLimiter {
+  constructor(capacity = RATE_LIMIT_CAPACITY, interval = RATE_LIMIT_INTERVAL) {
+    this.capacity = capacity;
+    this.interval = interval;
+    this.tokens = capacity;
+    this.lastRefill = performance.now();
+  }
+
+  tryTake(now = performance.now()) {
+    const refill = Math.floor((now - this.lastRefill) / this.interval);
+    if (refill > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + refill);
+      this.lastRefill += refill * this.interval;
+    }
+    if (this.tokens <= 0) return false;
+    this.tokens--;
+    return true;
+  }
+}
+
+export class Chat {
+  // bus: MessageBus, options: { localId, getName(clientId), onMessage(clientId, text) }
+  constructor(bus, options = {}) {
+    this.bus = bus;
+    this.localId = options.localId;
+    this.getName = options.getName || (() => "Unknown");
+    this.onMessage = options.onMessage || (() => {});
+    this.isOpen = false;
+
+    // Our own limit, and one per remote client for incoming messages
+    this.sendLimiter = new RateLimiter();
+    this.receiveLimiters = new Map();
+
+    this.createElements();
+
+    this.bus.on("chat", (data, clientId) => this.receive(data, clientId));
+  }
+
+  createElements() {
+    this.container = document.createElement("div");
+    this.container.className = "chat";
+
+    this.log = document.createElement("div");
+    this.log.className = "chat-log";
+    this.container.appendChild(this.log);
+
+    this.input = document.createElement("input");
+    this.input.className = "chat-input";
+    this.input.type = "text";
+    this.input.maxLength = MAX_MESSAGE_LENGTH;
+    this.input.placeholder = "Say something...";
+    this.container.appendChild(this.input);
+
+    document.body.appendChild(this.container);
+
+    // Chat button for mobile, where there is no Enter key
+    this.button = document.createElement("div");
+    this.button.id = "chat-button";
+    this.button.innerText = "CHAT";
+    document.body.appendChild(this.button);
+
+    this.button.addEventListener("touchstart", (event) => {
+      if (this.isOpen) {
+        this.submit();
+      } else {
+        this.open();
+      }
+      event.preventDefault();
+    });
+
+    document.addEventListener("keydown", (e) => {
+      // Leave Enter to other text fields (profile name, editor panel)
+      if (e.target !== this.input && isTextField(e.target)) return;
+      if (e.code === "Enter" || e.code === "NumpadEnter") {
+        if (this.isOpen) {
+          this.submit();
+        } else {
+          this.open();
+        }
+        e.preventDefault();
+      } else if (e.code === "Escape" && this.isOpen) {
+        this.close();
+      }
+    });
+
+    // Don't let clicks on the chat lock the pointer
+    this.container.addEventListener("click", (e) => e.stopPropagation());
+  }
+
+  open() {
+    this.isOpen = true;
+    this.container.classList.add("open");
+    this.input.focus();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.input.value = "";
+    this.input.blur();
+    this.container.classList.remove("open");
+  }
+
+  submit() {
+    const text = cleanMessage(this.input.value);
+    this.close();
+    if (!text) return;
+
+    if (!this.sendLimiter.tryTake()) {
+      this.addSystemMessage("You are sending messages too fast.");
+      return;
+    }
+
+    this.bus.send("chat", { text });
+    this.addMessage(this.localId, text);
+  }
+
+  receive(data, clientId) {
+    // Our own message was already shown when it was sent
+    if (!clientId || clientId === this.localId) return;
+
+    const text = cleanMessage(data.text);
+    if (!text) return;
+
+    if (!this.receiveLimiters.has(clientId)) {
+      this.receiveLimiters.set(clientId, new RateLimiter());
+    }
+    if (!this.receiveLimiters.get(clientId).tryTake()) return;
+
+    this.addMessage(clientId, text);
+  }
+
+  addMessage(clientId, text) {
+    const name = this.getName(clientId);
+    const entry = document.createElement("div");
+    entry.className = "chat-entry";
+    if (clientId === this.localId) entry.classList.add("self");
+    entry.innerHTML = `<span class="chat-name">${escapeHtml(name)}:</span> ${escapeHtml(text)}`;
+    this.appendEntry(entry);
+
+    this.onMessage(clientId, text);
+  }
+
+  addSystemMessage(text) {
+    const entry = document.createElement("div");
+    entry.className = "chat-entry system";
+    entry.innerHTML = escapeHtml(text);
+    this.appendEntry(entry);
+  }
+
+  appendEntry(entry) {
+    this.log.appendChild(entry);
+    while (this.log.children.length > MAX_LOG_ENTRIES) {
+      this.log.removeChild(this.log.firstChild);
+    }
+    this.log.scrollTop = this.log.scrollHeight;
+  }
+}
+
+// Split text into lines that fit the bubble canvas
+function wrapText(context, text, maxWidth) {
+  const words = text.split(" ");
+  const lines = [];
+  let line = "";
+  words.forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (context.measureText(candidate).width > maxWidth && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines.slice(0, 3);
+}
+
+// Draw a timed speech bubble above a player's nametag
+export function showSpeechBubble(playerObj, text, now = performance.now()) {
+  let bubble = playerObj.getObjectByName("speechBubble");
+
+  if (!bubble) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    const spriteMaterial = new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      depthTest: true,
+      depthWrite: false
+    });
+
+    bubble = new THREE.Sprite(spriteMaterial);
+    bubble.scale.set(2, 1, 1);
+    bubble.position.y = 2.7; // Above the nametag
+    bubble.name = "speechBubble";
+    playerObj.add(bubble);
+  }
+
+  const canvas = bubble.material.map.image;
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  const shortText = text.length > BUBBLE_MAX_CHARS ? `${text.slice(0, BUBBLE_MAX_CHARS - 1)}…` : text;
+  context.font = '20px Arial';
+  const lines = wrapText(context, shortText, canvas.width - 24);
+
+  // Rounded background with a tail pointing down
+  const boxHeight = lines.length * 24 + 16;
+  const top = canvas.height - boxHeight - 14;
+  context.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  context.beginPath();
+  context.roundRect(4, top, canvas.width - 8, boxHeight, 10);
+  context.moveTo(canvas.width / 2 - 10, top + boxHeight);
+  context.lineTo(canvas.width / 2, canvas.height - 2);
+  context.lineTo(canvas.width / 2 + 10, top + boxHeight);
+  context.fill();
+
+  context.fillStyle = '#222';
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+  lines.forEach((line, i) => {
+    context.fillText(line, canvas.width / 2, top + 8 + i * 24);
+  });
+
+  bubble.material.map.needsUpdate = true;
+  bubble.userData.expires = now + BUBBLE_DURATION;
+  bubble.visible = true;
+}
+
+// Hide bubbles whose time is up
+export function updateSpeechBubbles(playerObjects, now = performance.now()) {
+  playerObjects.forEach(playerObj => {
+    const bubble = playerObj.getObjectByName("speechBubble");
+    if (bubble && bubble.visible && now > bubble.userData.expires) {
+      bubble.visible = false;
+    }
+  });
+}
+
+function isTextField(element) {
+  return element instanceof HTMLElement &&
+    (element.tagName === "INPUT" || element.tagName === "TEXTAREA" || element.tagName === "SELECT" || element.isContentEditable);
+}
@@ -0,0 +1,73 @@
+// Shared room clock. The host (the lowest client id, as for level sync and
+// games) is the reference; everyone else estimates the offset between their
+// performance.now() and the host's room time from "clock-sync" round trips.
+// Things that must look the same on every client, like moving platforms, are
+// driven by now() instead of the local clock.
+
+// How often to sample the host's clock (ms)
+const SYNC_INTERVAL = 2000;
+// Recent samples kept; the one with the shortest round trip wins
+const MAX_SAMPLES = 8;
+
+export class RoomClock {
+  // options: { localId, getPeerIds() }
+  constructor(bus, options = {}) {
+    this.bus = bus;
+    this.localId = options.localId;
+    this.getPeerIds = options.getPeerIds || (() => []);
+
+    // Room time = performance.now() + offset. The first host's clock is the
+    // room's; a client that becomes host keeps its estimate, so time doesn't jump.
+    this.offset = 0;
+    this.samples = [];
+
+    this.bus.on("clock-sync-request", (data, clientId) => {
+      if (clientId === this.localId || !this.isHost || typeof data.sent !== "number") return;
+      this.bus.send("clock-sync", { target: clientId, sent: data.sent, roomTime: this.now() });
+    });
+    this.bus.on("clock-sync", (data, clientId) => {
+      if (clientId === this.localId || data.target !== this.localId || clientId !== this.hostId) return;
+      this.handleSync(data);
+    });
+
+    this.sync();
+    setInterval(() => this.sync(), SYNC_INTERVAL);
+  }
+
+  get hostId() {
+    const ids = this.getPeerIds();
+    if (!ids.includes(this.localId)) ids.push(this.localId);
+    return ids.sort()[0];
+  }
+
+  get isHost() {
+    return this.hostId === this.localId;
+  }
+
+  // Room time in ms
+  now() {
+    return performance.now() + this.offset;
+  }
+
+  sync() {
+    if (this.isHost) {
+      this.samples = [];
+      return;
+    }
+    this.bus.send("clock-sync-request", { sent: performance.now() });
+  }
+
+  handleSync(data) {
+    if (typeof data.sent !== "number" || typeof data.roomTime !== "number") return;
+    const received = performance.now();
+    const roundTrip = received - data.sent;
+    if (roundTrip < 0) return;
+
+    // The host read its clock about half way through the round trip
+    this.samples.push({ roundTrip, offset: data.roomTime + roundTrip / 2 - received });
+    if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+
+    const best = this.samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+    this.offset = best.offset;
+  }
+}
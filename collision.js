@@ -0,0 +1,264 @@
+// Small gap kept between the player and surfaces to avoid getting stuck in them
+const SKIN = 0.001;
+
+// Colliders are plain axis-aligned boxes: { min: {x, y, z}, max: {x, y, z}, ... }
+// so everything below can run without a renderer or a scene.
+export function createBox(minX, minY, minZ, maxX, maxY, maxZ, data = {}) {
+  return {
+    min: { x: minX, y: minY, z: minZ },
+    max: { x: maxX, y: maxY, z: maxZ },
+    ...data
+  };
+}
+
+// Uniform grid over the XZ plane. Each box is stored in every cell it touches.
+export class SpatialHash {
+  constructor(cellSize = 4) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  cellRange(minX, minZ, maxX, maxZ) {
+    return {
+      x0: Math.floor(minX / this.cellSize),
+      z0: Math.floor(minZ / this.cellSize),
+      x1: Math.floor(maxX / this.cellSize),
+      z1: Math.floor(maxZ / this.cellSize)
+    };
+  }
+
+  insert(box) {
+    const { x0, z0, x1, z1 } = this.cellRange(box.min.x, box.min.z, box.max.x, box.max.z);
+    for (let i = x0; i <= x1; i++) {
+      for (let j = z0; j <= z1; j++) {
+        const key = `${i},${j}`;
+        if (!this.cells.has(key)) {
+          this.cells.set(key, []);
+        }
+        this.cells.get(key).push(box);
+      }
+    }
+  }
+
+  remove(box) {
+    const { x0, z0, x1, z1 } = this.cellRange(box.min.x, box.min.z, box.max.x, box.max.z);
+    for (let i = x0; i <= x1; i++) {
+      for (let j = z0; j <= z1; j++) {
+        const key = `${i},${j}`;
+        const cell = this.cells.get(key);
+        if (!cell) continue;
+        const index = cell.indexOf(box);
+        if (index !== -1) cell.splice(index, 1);
+        if (cell.length === 0) this.cells.delete(key);
+      }
+    }
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  // Returns every box stored in the cells overlapping the given XZ rectangle
+  query(minX, minZ, maxX, maxZ) {
+    const result = new Set();
+    const { x0, z0, x1, z1 } = this.cellRange(minX, minZ, maxX, maxZ);
+    for (let i = x0; i <= x1; i++) {
+      for (let j = z0; j <= z1; j++) {
+        const cell = this.cells.get(`${i},${j}`);
+        if (cell) cell.forEach(box => result.add(box));
+      }
+    }
+    return result;
+  }
+}
+
+function overlaps(minA, maxA, minB, maxB) {
+  return minA < maxB - SKIN && maxA > minB + SKIN;
+}
+
+export class CollisionWorld {
+  constructor(colliders = [], options = {}) {
+    this.colliders = [];
+    this.broadphase = new SpatialHash(options.cellSize || 4);
+    // Height of the ground plane, null for no ground
+    this.floorY = options.floorY !== undefined ? options.floorY : 0;
+    // Extent of the ground { minX, maxX, minZ, maxZ }; null for an endless plane
+    this.floorBounds = options.floorBounds || null;
+    colliders.forEach(collider => this.add(collider));
+  }
+
+  add(collider) {
+    this.colliders.push(collider);
+    this.broadphase.insert(collider);
+  }
+
+  remove(collider) {
+    const index = this.colliders.indexOf(collider);
+    if (index === -1) return;
+    this.colliders.splice(index, 1);
+    this.broadphase.remove(collider);
+  }
+
+  clear() {
+    this.colliders.length = 0;
+    this.broadphase.clear();
+  }
+
+  // True if the ground plane is under some part of the box's footprint
+  overFloor(box) {
+    if (this.floorY === null) return false;
+    const b = this.floorBounds;
+    if (!b) return true;
+    return box.max.x > b.minX && box.min.x < b.maxX && box.max.z > b.minZ && box.min.z < b.maxZ;
+  }
+
+  // Candidate colliders for a box swept by (dx, dy, dz)
+  candidates(box, dx = 0, dz = 0) {
+    return this.broadphase.query(
+      Math.min(box.min.x, box.min.x + dx),
+      Math.min(box.min.z, box.min.z + dz),
+      Math.max(box.max.x, box.max.x + dx),
+      Math.max(box.max.z, box.max.z + dz)
+    );
+  }
+
+  // Move a box along one axis, stopping at the first collider in the way.
+  // Returns the distance actually travelled.
+  sweepAxis(box, axis, distance) {
+    if (distance === 0) return 0;
+
+    const others = axis === "x" ? ["y", "z"] : axis === "y" ? ["x", "z"] : ["x", "y"];
+    const candidates = this.candidates(
+      box,
+      axis === "x" ? distance : 0,
+      axis === "z" ? distance : 0
+    );
+
+    let allowed = distance;
+    candidates.forEach(collider => {
+      if (!others.every(o => overlaps(box.min[o], box.max[o], collider.min[o], collider.max[o]))) {
+        return;
+      }
+      if (distance > 0 && box.max[axis] <= collider.min[axis] + SKIN) {
+        allowed = Math.min(allowed, collider.min[axis] - box.max[axis] - SKIN);
+      } else if (distance < 0 && box.min[axis] >= collider.max[axis] - SKIN) {
+        allowed = Math.max(allowed, collider.max[axis] - box.min[axis] + SKIN);
+      }
+    });
+
+    if (axis === "y" && distance < 0 && this.overFloor(box) && box.min.y >= this.floorY - SKIN) {
+      allowed = Math.max(allowed, this.floorY - box.min.y);
+    }
+
+    // Never move backwards because of skin rounding
+    if (Math.sign(allowed) !== Math.sign(distance)) allowed = 0;
+
+    box.min[axis] += allowed;
+    box.max[axis] += allowed;
+    return allowed;
+  }
+
+  // True if the box intersects any collider
+  intersects(box) {
+    for (const collider of this.candidates(box)) {
+      if (overlaps(box.min.x, box.max.x, collider.min.x, collider.max.x) &&
+          overlaps(box.min.y, box.max.y, collider.min.y, collider.max.y) &&
+          overlaps(box.min.z, box.max.z, collider.min.z, collider.max.z)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Distance along a ray to the first collider or the floor, or maxDistance if
+  // nothing is hit. direction must be normalized.
+  raycast(origin, direction, maxDistance) {
+    const end = {
+      x: origin.x + direction.x * maxDistance,
+      z: origin.z + direction.z * maxDistance
+    };
+    const candidates = this.broadphase.query(
+      Math.min(origin.x, end.x), Math.min(origin.z, end.z),
+      Math.max(origin.x, end.x), Math.max(origin.z, end.z)
+    );
+
+    let nearest = maxDistance;
+    candidates.forEach(collider => {
+      // Slab test: the ray is inside the box between the last entry and the first exit
+      let tEnter = 0;
+      let tExit = nearest;
+      for (const axis of ["x", "y", "z"]) {
+        if (Math.abs(direction[axis]) < 1e-9) {
+          if (origin[axis] < collider.min[axis] || origin[axis] > collider.max[axis]) return;
+          continue;
+        }
+        let t1 = (collider.min[axis] - origin[axis]) / direction[axis];
+        let t2 = (collider.max[axis] - origin[axis]) / direction[axis];
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tEnter = Math.max(tEnter, t1);
+        tExit = Math.min(tExit, t2);
+        if (tEnter > tExit) return;
+      }
+      nearest = Math.min(nearest, tEnter);
+    });
+
+    if (this.floorY !== null && direction.y < 0 && origin.y > this.floorY) {
+      const t = (this.floorY - origin.y) / direction.y;
+      const x = origin.x + direction.x * t;
+      const z = origin.z + direction.z * t;
+      if (this.overFloor({ min: { x, z }, max: { x, z } })) nearest = Math.min(nearest, t);
+    }
+    return nearest;
+  }
+
+  // Move an upright player box whose feet are at `feet` by `delta`.
+  // shape: { radius, height, stepHeight }; pass canStep when the player is grounded.
+  // Returns the new feet position and what was hit along the way.
+  move(feet, delta, shape, canStep = false) {
+    const { radius, height, stepHeight = 0 } = shape;
+    const box = createBox(
+      feet.x - radius, feet.y, feet.z - radius,
+      feet.x + radius, feet.y + height, feet.z + radius
+    );
+
+    const movedX = this.sweepAxis(box, "x", delta.x);
+    const movedZ = this.sweepAxis(box, "z", delta.z);
+    const blockedX = Math.abs(movedX - delta.x) > SKIN * 2;
+    const blockedZ = Math.abs(movedZ - delta.z) > SKIN * 2;
+    let stepped = false;
+
+    // Step up: retry the blocked horizontal move from a raised box and keep it
+    // if it gets further than the plain move did
+    if (canStep && stepHeight > 0 && (blockedX || blockedZ) && delta.y <= 0) {
+      const raised = createBox(
+        feet.x - radius, feet.y, feet.z - radius,
+        feet.x + radius, feet.y + height, feet.z + radius
+      );
+      const rise = this.sweepAxis(raised, "y", stepHeight);
+      const stepX = this.sweepAxis(raised, "x", delta.x);
+      const stepZ = this.sweepAxis(raised, "z", delta.z);
+      this.sweepAxis(raised, "y", -rise);
+
+      if (rise > 0 && stepX * stepX + stepZ * stepZ > movedX * movedX + movedZ * movedZ + SKIN) {
+        box.min.x = raised.min.x; box.max.x = raised.max.x;
+        box.min.y = raised.min.y; box.max.y = raised.max.y;
+        box.min.z = raised.min.z; box.max.z = raised.max.z;
+        stepped = true;
+      }
+    }
+
+    const movedY = this.sweepAxis(box, "y", delta.y);
+    const blockedY = Math.abs(movedY - delta.y) > SKIN * 2;
+
+    return {
+      x: (box.min.x + box.max.x) / 2,
+      y: box.min.y,
+      z: (box.min.z + box.max.z) / 2,
+      onGround: blockedY && delta.y < 0,
+      hitCeiling: blockedY && delta.y > 0,
+      blockedX: blockedX && !stepped,
+      blockedZ: blockedZ && !stepped,
+      stepped
+    };
+  }
+}
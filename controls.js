@@ -1,47 +1,103 @@
 import * as THREE from "three";
-import { PointerLockControls } from "three/addons/controls/PointerLockControls.js";
-import { OrbitControls } from "three/addons/controls/OrbitControls.js";
+import { PresencePublisher } from "./presence.js";
+import { InputManager, createBindingsPanel } from "./input.js";
+import { LookOrientation, MouseLookController, TouchLookController } from "./look.js";
+import { CameraRig, CAMERA_MODE_LABELS } from "./camera.js";
+import { createPlayerState, createInputState, stepPlayer, FIXED_TIMESTEP, EYE_OFFSET, MOVEMENT_STATES } from "./player-core.js";
 
-// Movement constants
-const SPEED = 0.08;
-const GRAVITY = 0.01;
-const JUMP_FORCE = 0.25;
+// Physics constants and the simulation itself live in the DOM-free core
+export { FIXED_TIMESTEP, MAX_FRAME_TIME } from "./player-core.js";
+
+// Gamepad right stick turn rate at full deflection (radians per second)
+const GAMEPAD_LOOK_SPEED = 2.5;
+// How quickly the camera follows height changes when crouching or standing (per second)
+const EYE_HEIGHT_SMOOTHING = 12;
+// Distance walked between footstep sounds
+const FOOTSTEP_DISTANCE = 1.7;
+// Falling faster than this (units per second) makes a landing sound
+const LAND_SOUND_SPEED = 4;
 
 export class PlayerControls {
-  constructor(scene, room, options = {}) {
+  constructor(scene, transport, options = {}) {
     this.scene = scene;
-    this.room = room;
+    this.transport = transport;
     this.camera = options.camera || new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
     this.renderer = options.renderer;
     this.domElement = this.renderer ? this.renderer.domElement : document.body;
+    // The level's colliders (LevelWorld.collisionWorld); its meshes aren't in the scene
+    if (!options.collisionWorld) throw new Error("PlayerControls needs options.collisionWorld");
+    this.collisionWorld = options.collisionWorld;
+    this.presencePublisher = options.presencePublisher || new PresencePublisher(transport);
+    this.input = options.input || new InputManager();
+    // Sound effects for our jumps, landings and footsteps, see sound.js
+    this.sounds = options.sounds || null;
+    this.footstepDistance = 0;
+    // Kill volumes, world bounds and checkpoints, see triggers.js
+    this.triggers = options.triggers || null;
+    // Where to respawn when there's no checkpoint yet
+    this.getSpawnPoint = options.getSpawnPoint || (() => options.spawnPoint || { x: 0, y: 0.5, z: 0 });
+    // Short on-screen messages such as "Checkpoint reached"
+    this.notify = options.notify || (() => {});
+    // Counted in presence so other clients snap to us instead of interpolating
+    this.respawns = 0;
+    // Moving platforms that carry and push us, see platforms.js
+    this.getPlatforms = options.getPlatforms || (() => null);
+    // Input of the last physics step, null while not moving under our own control
+    this.lastInput = null;
+    // Other players that spectators can follow (Map of id -> Object3D), and their names
+    this.getPlayers = options.getPlayers || (() => new Map());
+    this.getPlayerName = options.getPlayerName || (id => id);
     
     // Player state
-    this.velocity = new THREE.Vector3();
-    this.canJump = true;
-    this.keysPressed = new Set();
+    this.jumpRequested = false;
     this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     
+    // Look sensitivity in radians per pixel, scaled by the settings (see settings.js)
+    this.mouseSensitivity = options.mouseSensitivity || 0.002;
+    this.touchSensitivity = options.touchSensitivity || 0.005;
+    this.invertY = false;
+    
     // Mobile control variables
     this.joystick = null;
-    this.touchStartX = 0;
-    this.touchStartY = 0;
-    this.touchSensitivity = 0.005;
-    this.moveVector = { x: 0, z: 0 };
     this.jumpButtonPressed = false;
     this.moveForward = 0;
     this.moveRight = 0;
     
     // Initial player position
-    this.playerX = (Math.random() * 10) - 5;
-    this.playerY = 0.5;
-    this.playerZ = (Math.random() * 10) - 5;
+    const spawnPoint = options.spawnPoint || { x: (Math.random() * 10) - 5, y: 0.5, z: (Math.random() * 10) - 5 };
+    this.playerX = spawnPoint.x;
+    this.playerY = spawnPoint.y;
+    this.playerZ = spawnPoint.z;
+    
+    // Simulation state from player-core.js
+    this.state = createPlayerState(spawnPoint);
+    // Camera offset above the player, eased towards the movement state's eye height
+    this.eyeHeight = EYE_OFFSET;
+    
+    // Simulated position for the current and previous physics step,
+    // rendering interpolates between the two
+    this.position = new THREE.Vector3(this.playerX, this.playerY, this.playerZ);
+    this.previousPosition = this.position.clone();
     
     // Set initial camera position
-    this.camera.position.set(this.playerX, this.playerY + 1.2, this.playerZ);
+    this.camera.position.set(this.playerX, this.playerY + EYE_OFFSET, this.playerZ);
+    
+    // One yaw/pitch model for mouse, touch and gamepad look
+    this.orientation = new LookOrientation(this.camera);
+    this.orientation.onChange(() => {
+      // Sync rotation even when not moving; spectators aren't published
+      if (this.cameraRig.isSpectating) return;
+      this.presencePublisher.set({
+        quaternion: this.camera.quaternion.toArray()
+      });
+    });
     
-    // Create audio for jump sound
-    this.jumpSound = new Audio('/Wood_jump3.wav.mp3');
-    this.jumpSound.volume = 0.5; // Set volume to 50%
+    // First person, third person or spectator, see camera.js
+    this.cameraRig = new CameraRig(this.camera, this.collisionWorld);
+    this.cameraRig.onModeChange((mode, previousMode) => this.onCameraModeChange(mode, previousMode));
+    // Interpolated player position, also used to draw our own avatar
+    this.renderPosition = this.position.clone();
+    this.eyePosition = new THREE.Vector3();
     
     // Initialize controls based on device
     this.initializeControls();
@@ -59,14 +115,33 @@ export class PlayerControls {
   }
   
   initializeDesktopControls() {
-    this.controls = new PointerLockControls(this.camera, this.domElement);
+    this.controls = new MouseLookController(this.orientation, this.domElement, {
+      sensitivity: this.mouseSensitivity
+    });
     
     // Add instructions for desktop
     const instructionsDiv = document.createElement("div");
     instructionsDiv.className = "instructions";
-    instructionsDiv.innerHTML = "Click to lock controls. <br>Use WASD to move, Space to jump.";
+    instructionsDiv.innerHTML = "Click to lock controls, Escape for settings. <br>Use WASD to move, Space to jump.<br>Shift to sprint, C to crouch (slide while sprinting).<br>P to edit your profile, Y for replays, R to respawn, T to switch camera, N to spectate the next player, M to mute, G for the minimap, ` for renderer stats.";
     document.getElementById('game-container').appendChild(instructionsDiv);
     
+    // Rebindable keys, listed under the instructions
+    const bindingsPanel = createBindingsPanel(this.input);
+    bindingsPanel.element.style.display = 'none';
+    const bindingsButton = document.createElement("button");
+    bindingsButton.className = "bindings-toggle";
+    bindingsButton.textContent = "Key bindings";
+    bindingsButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const hidden = bindingsPanel.element.style.display === 'none';
+      // Other modules register their actions after this panel is made,
+      // so the list is drawn afresh whenever it opens
+      if (hidden) bindingsPanel.render();
+      bindingsPanel.element.style.display = hidden ? 'block' : 'none';
+    });
+    instructionsDiv.appendChild(bindingsButton);
+    instructionsDiv.appendChild(bindingsPanel.element);
+    
     // Lock controls on click
     document.addEventListener('click', () => {
       if (!this.controls.isLocked) {
@@ -74,53 +149,22 @@ export class PlayerControls {
       }
     });
     
-    // Listen for pointer lock changes
-    this.controls.addEventListener('lock', () => {
-      if (document.querySelector(".instructions")) {
-        document.querySelector(".instructions").style.display = 'none';
-      }
-    });
-
-    this.controls.addEventListener('unlock', () => {
+    // Show the instructions while the pointer is free
+    this.controls.onLockChange((locked) => {
       if (document.querySelector(".instructions")) {
-        document.querySelector(".instructions").style.display = 'block';
-      }
-    });
-    
-    // Add rotation change listener to sync rotation even when not moving
-    this.controls.addEventListener('change', () => {
-      if (this.room) {
-        this.room.party.updatePresence({ 
-          quaternion: this.camera.quaternion.toArray()
-        });
+        document.querySelector(".instructions").style.display = locked ? 'none' : 'block';
       }
     });
   }
   
   initializeMobileControls() {
     // Setup camera position first with safe values
-    this.camera.position.set(this.playerX, 1.7, this.playerZ);
-    
-    // Initialize OrbitControls for camera rotation
-    this.orbitControls = new OrbitControls(this.camera, this.domElement);
-    this.orbitControls.enableDamping = true;
-    this.orbitControls.dampingFactor = 0.05;
-    this.orbitControls.enableZoom = false;
-    this.orbitControls.enablePan = false;
-    this.orbitControls.rotateSpeed = 0.5;
-    // Remove polar angle constraints to allow full 360-degree rotation
-    this.orbitControls.minPolarAngle = 0;
-    this.orbitControls.maxPolarAngle = Math.PI;
-    
-    // Set the target in front of the camera to ensure valid orientation
-    const lookDirection = new THREE.Vector3(0, 0, -1);
-    lookDirection.applyQuaternion(this.camera.quaternion);
-    this.orbitControls.target.set(
-      this.playerX + lookDirection.x,
-      1.7,
-      this.playerZ + lookDirection.z
-    );
-    this.orbitControls.update(); // Important: update controls immediately
+    this.camera.position.set(this.playerX, this.playerY + EYE_OFFSET, this.playerZ);
+    
+    // Drag on the right half of the screen to look around
+    this.touchLook = new TouchLookController(this.orientation, {
+      sensitivity: this.touchSensitivity
+    });
     
     // Add joystick container for mobile
     const joystickContainer = document.getElementById('joystick-container');
@@ -142,12 +186,7 @@ export class PlayerControls {
     // Jump button event listeners
     document.getElementById('jump-button').addEventListener('touchstart', (event) => {
       this.jumpButtonPressed = true;
-      if (this.canJump) {
-        this.velocity.y = JUMP_FORCE;
-        this.canJump = false;
-        this.jumpSound.currentTime = 0; // Reset sound to start
-        this.jumpSound.play().catch(e => console.log("Error playing sound:", e));
-      }
+      this.jumpRequested = true;
       event.preventDefault();
     });
     
@@ -171,42 +210,42 @@ export class PlayerControls {
       const angle = data.angle.radian - Math.PI/2 + Math.PI; // Fix rotation angle
       
       // Calculate movement values using the joystick
-      // Scale down by SPEED to match keyboard movement speed
-      this.moveForward = -Math.cos(angle) * force * SPEED;
-      this.moveRight = Math.sin(angle) * force * SPEED;
-      
-      console.log('Joystick move:', {
-        force, 
-        angle: data.angle.radian, 
-        moveForward: this.moveForward, 
-        moveRight: this.moveRight
-      });
+      // Scaled by SPEED in player-core.js
+      this.moveForward = -Math.cos(angle) * force;
+      this.moveRight = Math.sin(angle) * force;
     });
     
     // Joystick end event
     this.joystick.on('end', () => {
-      console.log('Joystick released');
       this.moveForward = 0;
       this.moveRight = 0;
     });
+    
+    // Camera mode button for mobile
+    const cameraButton = document.createElement('div');
+    cameraButton.id = 'camera-button';
+    cameraButton.innerText = 'CAMERA';
+    document.body.appendChild(cameraButton);
+    cameraButton.addEventListener('touchstart', (event) => {
+      this.cameraRig.nextMode();
+      event.preventDefault();
+    });
   }
   
   setupEventListeners() {
-    // Listen for key events (for desktop controls)
-    document.addEventListener("keydown", (e) => {
-      this.keysPressed.add(e.key.toLowerCase());
-      
-      // Handle jump with spacebar
-      if (e.key === " " && this.canJump) {
-        this.velocity.y = JUMP_FORCE;
-        this.canJump = false;
-        this.jumpSound.currentTime = 0; // Reset sound to start
-        this.jumpSound.play().catch(e => console.log("Error playing sound:", e));
-      }
+    // Jump on press; held keys are also read each step in readInput()
+    this.input.onAction("jump", () => {
+      this.jumpRequested = true;
     });
-
-    document.addEventListener("keyup", (e) => {
-      this.keysPressed.delete(e.key.toLowerCase());
+    
+    this.input.registerAction("cameraMode", ["KeyT"], "Camera mode");
+    this.input.registerAction("spectateNext", ["KeyN"], "Spectate next player");
+    this.input.onAction("cameraMode", () => this.cameraRig.nextMode());
+    this.input.onAction("spectateNext", () => this.spectateNext());
+    
+    this.input.registerAction("respawn", ["KeyR"], "Respawn");
+    this.input.onAction("respawn", () => {
+      if (!this.cameraRig.isSpectating) this.respawn();
     });
     
     // Handle window resize
@@ -219,219 +258,265 @@ export class PlayerControls {
     });
   }
   
-  processMovement() {
-    if (!this.isMobile && document.pointerLockElement !== this.domElement) return;
-    
-    console.log('processMovement mobile:', this.isMobile, 'moveForward:', this.moveForward, 'moveRight:', this.moveRight);
-    
-    const presence = this.room.party.presence[this.room.party.client.id] || {};
-    
-    // Ensure position values exist with fallbacks
-    let x = presence.x || this.playerX;
-    let y = presence.y || 0.5;
-    let z = presence.z || this.playerZ;
-    
-    // Create movement vector based on key presses or joystick
-    const moveDirection = new THREE.Vector3(0, 0, 0);
+  // Current input from the keyboard or the joystick, for player-core.js
+  readInput() {
+    const input = createInputState();
     
     if (this.isMobile) {
-      // Use improved joystick movement logic
-      if (this.moveForward !== 0 || this.moveRight !== 0) {
-        // Calculate forward direction based on camera orientation
-        const forward = new THREE.Vector3();
-        this.camera.getWorldDirection(forward);
-        forward.y = 0; // Keep movement on the xz plane
-        forward.normalize();
-        
-        // Calculate right direction perpendicular to forward
-        const right = new THREE.Vector3(-forward.z, 0, forward.x);
-        
-        console.log('Mobile movement vectors:', {
-          cameraDirection: forward.toArray(),
-          rightVector: right.toArray(),
-          moveForward: this.moveForward,
-          moveRight: this.moveRight
-        });
-        
-        // Apply movement in camera-relative directions
-        moveDirection.addScaledVector(forward, this.moveForward);
-        moveDirection.addScaledVector(right, this.moveRight);
-      }
+      // Joystick values are already view-relative and scaled by force
+      input.forward = this.moveForward;
+      input.right = this.moveRight;
     } else {
-      // Keyboard controls for desktop
-      // Forward/backward movement
-      if (this.keysPressed.has("w") || this.keysPressed.has("arrowup")) {
-        moveDirection.z = 1; 
-      } else if (this.keysPressed.has("s") || this.keysPressed.has("arrowdown")) {
-        moveDirection.z = -1; 
-      }
-      
-      // Left/right movement
-      if (this.keysPressed.has("a") || this.keysPressed.has("arrowleft")) {
-        moveDirection.x = 1; 
-      } else if (this.keysPressed.has("d") || this.keysPressed.has("arrowright")) {
-        moveDirection.x = -1; 
-      }
+      // Keyboard and gamepad stick, through the action bindings
+      const move = this.input.getMove();
+      input.forward = move.forward;
+      input.right = move.right;
+    }
+    
+    // Heading of the camera around the vertical axis
+    input.yaw = this.orientation.yaw;
+    input.jump = this.jumpRequested || this.input.isDown("jump");
+    input.sprint = this.input.isDown("sprint");
+    input.crouch = this.input.isDown("crouch");
+    return input;
+  }
+  
+  // Turn the camera with the gamepad's right stick
+  applyGamepadLook(delta) {
+    const look = this.input.getLook();
+    const pitch = -look.y * GAMEPAD_LOOK_SPEED * delta;
+    this.orientation.rotate(
+      -look.x * GAMEPAD_LOOK_SPEED * delta,
+      this.invertY ? -pitch : pitch
+    );
+  }
+  
+  // Field of view, look sensitivity multipliers and invert-Y from the settings panel
+  applySettings(settings) {
+    this.camera.fov = settings.fov;
+    this.camera.updateProjectionMatrix();
+    
+    this.invertY = settings.invertY;
+    if (this.controls) {
+      this.controls.sensitivity = this.mouseSensitivity * settings.mouseSensitivity;
+      this.controls.invertY = settings.invertY;
+    }
+    if (this.touchLook) {
+      this.touchLook.sensitivity = this.touchSensitivity * settings.touchSensitivity;
+      this.touchLook.invertY = settings.invertY;
+    }
+  }
+  
+  // Follow another player's avatar in spectator mode
+  spectate(id) {
+    const target = this.getPlayers().get(id);
+    if (!target) return;
+    this.cameraRig.setMode("spectator");
+    this.cameraRig.follow(id, target);
+    this.updateCameraLabel();
+  }
+  
+  // Cycle free flight -> each player -> free flight
+  spectateNext() {
+    const ids = [...this.getPlayers().keys()];
+    const index = this.cameraRig.isSpectating ? ids.indexOf(this.cameraRig.followId) : -1;
+    if (index + 1 < ids.length) {
+      this.spectate(ids[index + 1]);
+    } else {
+      this.cameraRig.stopFollowing();
+      this.updateCameraLabel();
+    }
+  }
+  
+  onCameraModeChange(mode, previousMode) {
+    if (mode === "spectator") {
+      // Remote clients hide our avatar while we fly around
+      this.presencePublisher.set({ spectating: true });
+    } else if (previousMode === "spectator") {
+      // Back in the body where we left it
+      this.presencePublisher.set({
+        spectating: false,
+        x: this.state.x,
+        y: this.state.y,
+        z: this.state.z,
+        quaternion: this.camera.quaternion.toArray()
+      });
+    }
+    this.updateCameraLabel();
+  }
+  
+  updateCameraLabel() {
+    if (!this.cameraLabel) {
+      this.cameraLabel = document.createElement('div');
+      this.cameraLabel.className = 'camera-mode';
+      document.body.appendChild(this.cameraLabel);
     }
     
-    if (!this.isMobile && moveDirection.length() > 0) {
-      moveDirection.normalize();
+    const rig = this.cameraRig;
+    if (rig.mode === "firstPerson") {
+      this.cameraLabel.style.display = 'none';
+      return;
     }
     
-    // Calculate camera-based movement vectors
-    const cameraDirection = new THREE.Vector3();
-    this.camera.getWorldDirection(cameraDirection);
-    cameraDirection.y = 0; 
-    cameraDirection.normalize();
+    let text = CAMERA_MODE_LABELS[rig.mode];
+    if (rig.isSpectating) {
+      text += rig.followId ? ` — following ${this.getPlayerName(rig.followId)}` : " — free flight";
+    }
+    this.cameraLabel.textContent = text;
+    this.cameraLabel.style.display = 'block';
+  }
+  
+  processMovement(delta) {
+    this.previousPosition.copy(this.position);
+    // Platforms move the body even while the controls are released or we spectate
+    this.ridePlatforms();
+    
+    // Desktop needs pointer lock, unless a gamepad is in use
+    if (!this.isMobile && document.pointerLockElement !== this.domElement && !this.input.gamepadActive) {
+      this.jumpRequested = false;
+      this.lastInput = null;
+      return;
+    }
     
-    const rightVector = new THREE.Vector3();
-    rightVector.crossVectors(this.camera.up, cameraDirection).normalize();
+    this.applyGamepadLook(delta);
     
-    const movement = new THREE.Vector3();
-    if (!this.isMobile) {
-      // Desktop movement
-      if (moveDirection.z !== 0) {
-        movement.add(cameraDirection.clone().multiplyScalar(moveDirection.z));
-      }
-      if (moveDirection.x !== 0) {
-        movement.add(rightVector.clone().multiplyScalar(moveDirection.x));
-      }
-      
-      if (movement.length() > 0) {
-        movement.normalize().multiplyScalar(SPEED);
-      }
-    } else {
-      // Mobile movement: use the joystick values directly (which already incorporate SPEED)
-      movement.copy(moveDirection);
+    // Spectators fly without colliding; the body stays where it was left
+    if (this.cameraRig.isSpectating) {
+      const input = this.readInput();
+      const up = (input.jump ? 1 : 0) - (input.crouch ? 1 : 0);
+      this.cameraRig.fly({ forward: input.forward, right: input.right, up }, input.sprint, delta);
+      this.jumpRequested = false;
+      this.lastInput = null;
+      return;
     }
     
-    // Apply gravity and vertical velocity
-    this.velocity.y -= GRAVITY;
-    
-    // Calculate new positions
-    let newX = this.isMobile ? this.camera.position.x + movement.x : this.camera.position.x + movement.x;
-    let newY = y + this.velocity.y;
-    let newZ = this.isMobile ? this.camera.position.z + movement.z : this.camera.position.z + movement.z;
-    
-    // Get all blocks and barriers from the scene
-    const blockMeshes = this.scene.children.filter(child => 
-      child.userData.isBlock || child.userData.isBarrier);
-    
-    // Define collision parameters
-    const playerRadius = 0.3;
-    const playerHeight = 1.8;
-    
-    let standingOnBlock = false;
-    blockMeshes.forEach(block => {
-      // Get block dimensions from geometry
-      const blockSize = new THREE.Vector3();
-      if (block.geometry) {
-        const boundingBox = new THREE.Box3().setFromObject(block);
-        boundingBox.getSize(blockSize);
-      } else {
-        // Default size if geometry is not available
-        blockSize.set(1, 1, 1);
-      }
-
-      const blockWidth = blockSize.x;
-      const blockHeight = blockSize.y;
-      const blockDepth = blockSize.z;
-      
-      // Allow jump from a block: improved block standing detection
-      if (
-        this.velocity.y <= 0 &&
-        Math.abs(newX - block.position.x) < (blockWidth / 2 + playerRadius) &&
-        Math.abs(newZ - block.position.z) < (blockDepth / 2 + playerRadius) &&
-        Math.abs(y - (block.position.y + blockHeight / 2)) < 0.2 &&
-        y >= block.position.y
-      ) {
-        standingOnBlock = true;
-        newY = block.position.y + blockHeight / 2 + 0.01; // Place slightly above block
-        this.velocity.y = 0;
-        this.canJump = true;
+    const previous = this.state;
+    // Kept for session recordings, see replay.js
+    this.lastInput = this.readInput();
+    const { state, events } = stepPlayer(previous, this.lastInput, this.collisionWorld, delta);
+    const moved = state.x !== this.state.x || state.y !== this.state.y || state.z !== this.state.z;
+    this.state = state;
+    this.jumpRequested = false;
+    
+    this.playMovementSounds(previous, state, events);
+    
+    if (this.triggers) {
+      const triggered = this.triggers.update(state);
+      if (triggered.checkpoint) {
+        this.notify("Checkpoint reached");
       }
-      // Horizontal collision detection with improved accuracy
-      else if (
-        Math.abs(newX - block.position.x) < (blockWidth / 2 + playerRadius) &&
-        Math.abs(newZ - block.position.z) < (blockDepth / 2 + playerRadius) &&
-        newY < block.position.y + blockHeight / 2 &&
-        newY + playerHeight > block.position.y - blockHeight / 2
-      ) {
-        // Determine which side of the block was hit
-        const xDist = Math.abs(this.camera.position.x - block.position.x);
-        const zDist = Math.abs(this.camera.position.z - block.position.z);
-        
-        // Reset position based on which axis had greater movement
-        if (xDist > zDist && Math.abs(movement.x) > 0) {
-          newX = this.camera.position.x;
-        } else if (Math.abs(movement.z) > 0) {
-          newZ = this.camera.position.z;
-        }
+      if (triggered.respawn) {
+        this.respawn();
+        return;
       }
-    });
+    }
     
-    // Ground check: keep the player on the ground unless jumping.
-    if (newY <= 0.5 && !standingOnBlock) {
-      newY = 0.5;
-      this.velocity.y = 0;
-      this.canJump = true;
+    // Let other clients draw us crouching or sliding
+    if (events.movementChanged) {
+      this.presencePublisher.set({ movement: state.movement });
     }
     
     // Only update if position changed
-    if (newX !== presence.x || newY !== presence.y || newZ !== presence.z) {
-      // Update camera position; add eye offset of 1.2 above player center
-      this.camera.position.set(newX, newY + 1.2, newZ);
+    if (moved) {
+      this.position.set(state.x, state.y, state.z);
       
-      if (this.isMobile && this.orbitControls) {
-        // Calculate full camera direction without constraining to the xz plane
-        const cameraDirection = new THREE.Vector3();
-        this.camera.getWorldDirection(cameraDirection);
-        
-        if (isNaN(cameraDirection.x) || isNaN(cameraDirection.y) || isNaN(cameraDirection.z)) {
-          console.log('Invalid camera direction detected, resetting');
-          cameraDirection.set(0, 0, -1);
-        }
-        
-        cameraDirection.normalize();
-        
-        console.log('Mobile movement vectors:', {
-          cameraPos: [newX, newY + 1.2, newZ],
-          cameraDirection: cameraDirection.toArray(),
-          target: [
-            newX + cameraDirection.x,
-            newY + 1.2 + cameraDirection.y,
-            newZ + cameraDirection.z
-          ]
-        });
-        
-        this.orbitControls.target.set(
-          newX + cameraDirection.x,
-          newY + 1.2 + cameraDirection.y,
-          newZ + cameraDirection.z
-        );
-      }
-      
-      this.room.party.updatePresence({ 
-        x: newX, 
-        y: newY, 
-        z: newZ,
+      this.presencePublisher.set({ 
+        x: state.x, 
+        y: state.y, 
+        z: state.z,
         quaternion: this.camera.quaternion.toArray()
       });
     }
+  }
+  
+  // Ride along with the platform we stand on, or get pushed by one
+  ridePlatforms() {
+    const platforms = this.getPlatforms();
+    if (!platforms) return;
+    
+    const { state, yaw } = platforms.carry(this.state);
+    if (state === this.state) return;
+    this.state = state;
+    this.position.set(state.x, state.y, state.z);
+    
+    // Turn with the platform, unless the camera is off flying
+    if (yaw !== 0 && !this.cameraRig.isSpectating) {
+      this.orientation.rotate(yaw, 0);
+    }
+    this.presencePublisher.set({ x: state.x, y: state.y, z: state.z });
+  }
+  
+  // Back to the last checkpoint, or a spawn point away from other players
+  respawn() {
+    const point = (this.triggers && this.triggers.checkpoint) || this.getSpawnPoint();
+    this.state = createPlayerState(point);
+    this.position.set(point.x, point.y, point.z);
+    this.previousPosition.copy(this.position);
+    this.footstepDistance = 0;
+    if (this.triggers) this.triggers.reset();
+    
+    this.respawns++;
+    this.presencePublisher.set({
+      x: point.x,
+      y: point.y,
+      z: point.z,
+      quaternion: this.camera.quaternion.toArray(),
+      movement: this.state.movement,
+      respawns: this.respawns
+    });
+    this.presencePublisher.flush();
+  }
+  
+  // Jump, landing and footstep sounds, heard by everyone nearby
+  playMovementSounds(previous, state, events) {
+    if (!this.sounds) return;
+    
+    if (events.jumped) {
+      this.sounds.emit("jump");
+    } else if (events.landed && previous.velocity.y < -LAND_SOUND_SPEED) {
+      this.sounds.emit("land");
+    }
     
-    if (this.isMobile && this.orbitControls) {
-      console.log('OrbitControls state before update:', {
-        enabled: this.orbitControls.enabled,
-        enableDamping: this.orbitControls.enableDamping,
-        dampingFactor: this.orbitControls.dampingFactor,
-        enableRotate: this.orbitControls.enableRotate
-      });
-      this.orbitControls.update();
+    // A step every FOOTSTEP_DISTANCE walked on the ground; slides are silent
+    if (state.onGround && previous.onGround && state.movement !== "slide") {
+      this.footstepDistance += Math.hypot(state.x - previous.x, state.z - previous.z);
+      if (this.footstepDistance >= FOOTSTEP_DISTANCE) {
+        this.footstepDistance -= FOOTSTEP_DISTANCE;
+        this.sounds.emit("footstep");
+      }
+    } else {
+      this.footstepDistance = 0;
     }
   }
   
-  update() {
-    this.processMovement();
+  // Advance the simulation by one fixed step
+  fixedUpdate(delta = FIXED_TIMESTEP) {
+    this.processMovement(delta);
+  }
+  
+  // Place the camera between the last two physics states.
+  // alpha is the fraction of a timestep left in the accumulator (0..1)
+  // frameTime is the real time since the last frame, in seconds
+  update(alpha = 1, frameTime = FIXED_TIMESTEP) {
+    this.input.pollGamepads();
+    
+    this.renderPosition.lerpVectors(this.previousPosition, this.position, alpha);
+    
+    // Ease the eye height towards the current movement state's
+    const targetEyeHeight = MOVEMENT_STATES[this.state.movement].eyeHeight;
+    this.eyeHeight += (targetEyeHeight - this.eyeHeight) * (1 - Math.exp(-EYE_HEIGHT_SMOOTHING * frameTime));
+    
+    // Add eye offset above player center
+    this.eyePosition.copy(this.renderPosition);
+    this.eyePosition.y += this.eyeHeight;
+    
+    // Stop following players that left
+    const rig = this.cameraRig;
+    if (rig.followId && !this.getPlayers().has(rig.followId)) {
+      rig.stopFollowing();
+      this.updateCameraLabel();
+    }
+    rig.update(this.eyePosition, alpha, frameTime);
   }
   
   getCamera() {
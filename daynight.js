@@ -0,0 +1,158 @@
+import * as THREE from "three";
+
+// Time of day, driven by the room clock (see clock.js) so everyone sees the
+// same sky. The sun goes overhead from east to west once a day; the level's
+// own lighting is the midday look, blending through dusk colours into a
+// moonlit night with fog the colour of the sky. At night a few point lights
+// follow the players nearest the camera. The sun's shadow camera is kept
+// centred on the player by LevelWorld.aimSun() (level.js).
+
+export const DEFAULT_DAY_LENGTH = 600; // seconds of room time
+export const DEFAULT_DAY_OFFSET = 0.35; // time of day at room time 0: mid-morning
+
+// Tilt of the sun's path towards +z, so it's never straight overhead (radians)
+const SUN_TILT = 0.5;
+
+const NIGHT = {
+  sky: new THREE.Color("#0b1026"),
+  ambient: new THREE.Color("#5060a0"),
+  ambientIntensity: 0.15,
+  moon: new THREE.Color("#9fb4ff"),
+  moonIntensity: 0.3
+};
+const DUSK = {
+  sky: new THREE.Color("#e8946a"),
+  sun: new THREE.Color("#ffb070")
+};
+
+// Fog distance in the day (at least, or twice the level's size) and at night
+const DAY_FOG = 100;
+const NIGHT_FOG = 45;
+
+// Point lights are a fixed pool, so the shaders don't change as players come and go
+const AVATAR_LIGHTS = 4;
+const AVATAR_LIGHT_INTENSITY = 6;
+const AVATAR_LIGHT_DISTANCE = 12;
+const AVATAR_LIGHT_HEIGHT = 1.2;
+
+// Time of day from 0 to 1 (0 midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset)
+// at `time` seconds of room time
+export function timeOfDay(time, dayNight = {}) {
+  const dayLength = dayNight.dayLength || DEFAULT_DAY_LENGTH;
+  const offset = dayNight.offset !== undefined ? dayNight.offset : DEFAULT_DAY_OFFSET;
+  const t = (time / dayLength + offset) % 1;
+  return t < 0 ? t + 1 : t;
+}
+
+// Direction towards the sun, rising in the east (+x) and setting in the west
+export function sunDirection(fraction, out = new THREE.Vector3()) {
+  const angle = (fraction - 0.25) * Math.PI * 2;
+  return out.set(Math.cos(angle), Math.sin(angle) * Math.cos(SUN_TILT), Math.sin(angle) * Math.sin(SUN_TILT));
+}
+
+export class DayNightCycle {
+  // options: { getFocus() -> Vector3, getLitPlayers() -> player objects that may carry a light }
+  constructor(world, options = {}) {
+    this.world = world;
+    this.getFocus = options.getFocus || (() => new THREE.Vector3());
+    this.getLitPlayers = options.getLitPlayers || (() => []);
+
+    this.fog = new THREE.Fog(0x000000, 0, DAY_FOG);
+    this.direction = new THREE.Vector3();
+    this.sky = new THREE.Color();
+    this.levelColor = new THREE.Color();
+    // 1 in full daylight, 0 at night
+    this.daylight = 1;
+
+    this.lights = Array.from({ length: AVATAR_LIGHTS }, () => {
+      const light = new THREE.PointLight(0xffffff, 0, AVATAR_LIGHT_DISTANCE, 2);
+      world.scene.add(light);
+      return light;
+    });
+  }
+
+  // Turn the players' lights on or off (see settings.js)
+  setAvatarLights(enabled) {
+    this.lights.forEach(light => {
+      light.visible = enabled;
+    });
+  }
+
+  // Call once per frame with the room time in seconds
+  update(time) {
+    const world = this.world;
+    const lighting = world.lighting;
+    const focus = this.getFocus();
+
+    if (lighting.dayNight === false) {
+      // Fixed lighting as set by the level
+      world.scene.fog = null;
+      this.daylight = 1;
+      world.aimSun(this.direction.fromArray(lighting.sun.position).normalize(), focus);
+      this.updateLights(focus);
+      return;
+    }
+
+    sunDirection(timeOfDay(time, lighting.dayNight), this.direction);
+    const height = this.direction.y;
+    const daylight = smoothstep(-0.08, 0.2, height);
+    const twilight = Math.max(0, 1 - Math.abs(height) / 0.3);
+    this.daylight = daylight;
+
+    // Sky and fog
+    this.sky.lerpColors(NIGHT.sky, this.levelColor.set(lighting.background), daylight)
+      .lerp(DUSK.sky, twilight * 0.5);
+    world.scene.background.copy(this.sky);
+    const span = Math.max(world.bounds.maxX - world.bounds.minX, world.bounds.maxZ - world.bounds.minZ);
+    this.fog.color.copy(this.sky);
+    this.fog.far = NIGHT_FOG + (Math.max(DAY_FOG, span * 2) - NIGHT_FOG) * daylight;
+    this.fog.near = this.fog.far * 0.25;
+    world.scene.fog = this.fog;
+
+    // The sun by day and the moon opposite it by night, both fading out
+    // at the horizon so the shadows don't flip while visible
+    const fade = smoothstep(0, 0.08, Math.abs(height));
+    const light = world.dirLight;
+    if (height >= 0) {
+      light.color.set(lighting.sun.color).lerp(DUSK.sun, twilight);
+      light.intensity = lighting.sun.intensity * fade;
+    } else {
+      this.direction.negate();
+      light.color.copy(NIGHT.moon);
+      light.intensity = NIGHT.moonIntensity * fade;
+    }
+    world.aimSun(this.direction, focus);
+
+    world.ambientLight.color.lerpColors(NIGHT.ambient, this.levelColor.set(lighting.ambient.color), daylight);
+    world.ambientLight.intensity = NIGHT.ambientIntensity + (lighting.ambient.intensity - NIGHT.ambientIntensity) * daylight;
+
+    this.updateLights(focus);
+  }
+
+  // Hang the pool of lights over the players nearest the focus, in their colours
+  updateLights(focus) {
+    const night = 1 - this.daylight;
+    const players = night > 0.01
+      ? this.getLitPlayers()
+        .map(object => ({ object, distance: object.position.distanceToSquared(focus) }))
+        .sort((a, b) => a.distance - b.distance)
+      : [];
+
+    this.lights.forEach((light, i) => {
+      const player = players[i];
+      if (!player) {
+        light.intensity = 0;
+        return;
+      }
+      light.position.copy(player.object.position);
+      light.position.y += AVATAR_LIGHT_HEIGHT;
+      light.color.set(player.object.userData.avatar.color);
+      light.intensity = AVATAR_LIGHT_INTENSITY * night;
+    });
+  }
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
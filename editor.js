@@ -0,0 +1,383 @@
+import * as THREE from "three";
+import { validateLevel, validateBox, mergeBoxChanges } from "./level.js";
+import { keyLabel } from "./input.js";
+
+const MAX_REACH = 30;
+const GRID_SNAP = 0.5;
+const RESIZE_STEP = 0.5;
+const MIN_SIZE = 0.25;
+const MAX_SIZE = 50;
+const NEW_BOX_SIZE = [1, 1, 1];
+
+// In-world level editor. Edits are applied locally, broadcast as "level-edit"
+// messages and applied by every other client; late joiners ask for the full
+// level with "level-sync-request".
+//
+// While the world shows something else (a replay, see replay.js) the live
+// level is held as data: editing is off, and edits and syncs from the room
+// are applied to the held level, which is also what we send to late joiners.
+export class LevelEditor {
+  // options: { localId, palette, getPeerIds(), input,
+  //   getHeldLevel() -> level or null, setHeldLevel(level) }
+  constructor(world, bus, camera, options = {}) {
+    this.world = world;
+    this.bus = bus;
+    this.camera = camera;
+    this.localId = options.localId;
+    this.palette = options.palette || ["#888888"];
+    this.getPeerIds = options.getPeerIds || (() => []);
+    this.input = options.input;
+    this.getHeldLevel = options.getHeldLevel || (() => null);
+    this.setHeldLevel = options.setHeldLevel || (() => {});
+
+    this.enabled = false;
+    this.nextId = 0;
+    this.target = null; // { mesh, box, point, normal } under the crosshair
+    this.raycaster = new THREE.Raycaster();
+    this.raycaster.far = MAX_REACH;
+
+    // Outline around the targeted box and a preview of where a new one would go
+    this.highlight = new THREE.Box3Helper(new THREE.Box3(), 0xffff00);
+    this.highlight.visible = false;
+    this.world.scene.add(this.highlight);
+
+    this.preview = new THREE.Mesh(
+      new THREE.BoxGeometry(...NEW_BOX_SIZE),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3, depthWrite: false })
+    );
+    this.preview.visible = false;
+    this.world.scene.add(this.preview);
+
+    this.createPanel();
+    this.setupEventListeners();
+
+    this.bus.on("level-edit", (data, clientId) => {
+      if (clientId !== this.localId && this.isValidEdit(data)) this.applyEdit(data);
+    });
+    this.bus.on("level-sync-request", (data, clientId) => this.handleSyncRequest(clientId));
+    this.bus.on("level-sync", (data, clientId) => {
+      if (clientId === this.localId) return;
+      if (data.target && data.target !== this.localId) return;
+      this.loadLevel(data.level);
+    });
+
+    // Ask the room for the current world in case it has been edited already
+    this.bus.send("level-sync-request");
+  }
+
+  createPanel() {
+    this.panel = document.createElement("div");
+    this.panel.className = "editor-panel";
+    this.panel.innerHTML = `
+      <div class="editor-title">Edit mode</div>
+      <div>Left click: place box</div>
+      <div class="editor-hint" data-action="editorDelete" data-text="delete box" data-prefix="Right click / "></div>
+      <div class="editor-hint" data-action="editorShrink" data-text="shrink along face"></div>
+      <div class="editor-hint" data-action="editorGrow" data-text="grow along face"></div>
+      <div class="editor-hint" data-action="editorRecolour" data-text="change colour"></div>
+      <div class="editor-hint" data-action="toggleEditor" data-text="leave edit mode"></div>
+      <div class="editor-buttons">
+        <button class="editor-export">Export</button>
+        <button class="editor-import">Import</button>
+      </div>
+      <div class="editor-status"></div>
+    `;
+    document.body.appendChild(this.panel);
+
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.style.display = "none";
+    this.panel.appendChild(this.fileInput);
+
+    this.status = this.panel.querySelector(".editor-status");
+    this.panel.querySelector(".editor-export").addEventListener("click", () => this.exportLevel());
+    this.panel.querySelector(".editor-import").addEventListener("click", () => this.fileInput.click());
+    this.fileInput.addEventListener("change", () => this.importLevel());
+
+    // Don't let clicks on the panel lock the pointer
+    this.panel.addEventListener("click", (e) => e.stopPropagation());
+  }
+
+  setupEventListeners() {
+    // Edit mode keys, rebindable like the movement keys
+    this.input.registerAction("toggleEditor", ["KeyB"], "Edit mode");
+    this.input.registerAction("editorDelete", ["KeyX", "Delete"], "Edit: delete box");
+    this.input.registerAction("editorShrink", ["BracketLeft"], "Edit: shrink box");
+    this.input.registerAction("editorGrow", ["BracketRight"], "Edit: grow box");
+    this.input.registerAction("editorRecolour", ["KeyV"], "Edit: change colour");
+    this.input.onAction("toggleEditor", () => this.toggle());
+    const whileEditing = (callback) => () => {
+      if (this.enabled) callback();
+    };
+    this.input.onAction("editorDelete", whileEditing(() => this.deleteTarget()));
+    this.input.onAction("editorShrink", whileEditing(() => this.resizeTarget(-RESIZE_STEP)));
+    this.input.onAction("editorGrow", whileEditing(() => this.resizeTarget(RESIZE_STEP)));
+    this.input.onAction("editorRecolour", whileEditing(() => this.recolourTarget()));
+
+    document.addEventListener("mousedown", (e) => {
+      if (!this.enabled || !document.pointerLockElement) return;
+      if (e.button === 0) this.placeBox();
+      if (e.button === 2) this.deleteTarget();
+    });
+
+    document.addEventListener("contextmenu", (e) => {
+      if (this.enabled) e.preventDefault();
+    });
+  }
+
+  toggle() {
+    if (!this.enabled && this.getHeldLevel()) return;
+    this.enabled = !this.enabled;
+    // Show the keys as currently bound
+    this.panel.querySelectorAll(".editor-hint").forEach(hint => {
+      const keys = (this.input.bindings[hint.dataset.action] || []).map(keyLabel).join(" / ");
+      hint.textContent = `${hint.dataset.prefix || ""}${keys || "unbound"}: ${hint.dataset.text}`;
+    });
+    this.panel.classList.toggle("open", this.enabled);
+    if (!this.enabled) {
+      this.target = null;
+      this.highlight.visible = false;
+      this.preview.visible = false;
+    }
+  }
+
+  setStatus(text) {
+    this.status.textContent = text;
+  }
+
+  // Find what the crosshair points at; call once per frame
+  update() {
+    // A replay started while editing
+    if (this.enabled && this.getHeldLevel()) this.toggle();
+    if (!this.enabled) return;
+
+    this.raycaster.setFromCamera(new THREE.Vector2(0, 0), this.camera);
+    const hits = this.raycaster.intersectObjects([...this.world.meshes, this.world.ground], false);
+    const hit = hits[0];
+
+    if (!hit) {
+      this.target = null;
+      this.highlight.visible = false;
+      this.preview.visible = false;
+      return;
+    }
+
+    const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld).round();
+    const box = hit.object === this.world.ground ? null : this.world.getBoxForMesh(hit.object);
+    this.target = { mesh: hit.object, box, point: hit.point.clone(), normal };
+
+    if (box) {
+      this.highlight.box.setFromObject(hit.object);
+      this.highlight.visible = true;
+    } else {
+      this.highlight.visible = false;
+    }
+
+    this.preview.position.fromArray(this.placementPosition());
+    this.preview.visible = true;
+  }
+
+  // Centre of a new box resting against the targeted face, snapped to the grid
+  placementPosition() {
+    const { point, normal } = this.target;
+    const snap = (value) => Math.round(value / GRID_SNAP) * GRID_SNAP;
+    const position = [snap(point.x), snap(point.y), snap(point.z)];
+    ["x", "y", "z"].forEach((axis, i) => {
+      if (normal[axis] !== 0) {
+        position[i] = point[axis] + normal[axis] * NEW_BOX_SIZE[i] / 2;
+      }
+    });
+    return position;
+  }
+
+  placeBox() {
+    if (!this.target) return;
+    const box = {
+      id: `${this.localId}-${this.nextId++}`,
+      size: [...NEW_BOX_SIZE],
+      position: this.placementPosition(),
+      color: this.palette[this.nextId % this.palette.length],
+      collider: "block"
+    };
+    this.commit({ op: "add", box });
+  }
+
+  deleteTarget() {
+    if (!this.target || !this.target.box) return;
+    this.commit({ op: "remove", id: this.target.box.id });
+  }
+
+  // Grow or shrink the box along the axis of the targeted face,
+  // keeping the opposite face where it is
+  resizeTarget(step) {
+    if (!this.target || !this.target.box) return;
+    const { box, normal } = this.target;
+    const axis = ["x", "y", "z"].findIndex(a => normal[a] !== 0);
+    if (axis === -1) return;
+
+    const size = [...box.size];
+    const position = [...box.position];
+    const newSize = Math.min(MAX_SIZE, Math.max(MIN_SIZE, size[axis] + step));
+    const change = newSize - size[axis];
+    if (change === 0) return;
+
+    size[axis] = newSize;
+    position[axis] += (change / 2) * normal.getComponent(axis);
+    this.commit({ op: "update", id: box.id, changes: { size, position } });
+  }
+
+  recolourTarget() {
+    if (!this.target || !this.target.box) return;
+    const { box } = this.target;
+    const index = this.palette.indexOf(box.color);
+    const color = this.palette[(index + 1) % this.palette.length];
+    this.commit({ op: "update", id: box.id, changes: { color } });
+  }
+
+  // Apply locally, then tell everyone else
+  commit(edit) {
+    this.applyEdit(edit);
+    this.bus.send("level-edit", edit);
+  }
+
+  // Edits from other clients follow the same rules as boxes in a level file;
+  // an update is checked as the box it would produce
+  isValidEdit(edit) {
+    if (!edit || typeof edit !== "object") return false;
+    const held = this.getHeldLevel();
+    const materials = held ? held.materials || {} : this.world.materialSpecs;
+    const findBox = (id) => {
+      if (held) return held.boxes.find(box => box.id === id) || null;
+      return this.world.boxes.has(id) ? this.world.boxes.get(id).box : null;
+    };
+
+    try {
+      switch (edit.op) {
+        case "add":
+          if (!edit.box || typeof edit.box.id !== "string" || !edit.box.id) return false;
+          validateBox(edit.box, materials);
+          return true;
+        case "update": {
+          const box = findBox(edit.id);
+          if (!box || !edit.changes || typeof edit.changes !== "object") return false;
+          validateBox(mergeBoxChanges(box, edit.changes), materials);
+          return true;
+        }
+        case "remove":
+          return typeof edit.id === "string";
+        default:
+          return false;
+      }
+    } catch (error) {
+      console.log("Ignoring invalid level edit:", error.message);
+      return false;
+    }
+  }
+
+  applyEdit(edit) {
+    const held = this.getHeldLevel();
+    if (held) {
+      this.setHeldLevel(editLevel(held, edit));
+      return;
+    }
+
+    switch (edit.op) {
+      case "add":
+        if (edit.box && edit.box.id) this.world.addBox(edit.box);
+        break;
+      case "update":
+        this.world.updateBox(edit.id, edit.changes || {});
+        break;
+      case "remove":
+        this.world.removeBox(edit.id);
+        break;
+    }
+    // The target may have been replaced or removed
+    this.target = null;
+  }
+
+  // Only one client answers a sync request: the lowest id other than the requester
+  handleSyncRequest(requesterId) {
+    if (!requesterId || requesterId === this.localId) return;
+    const responder = this.getPeerIds()
+      .filter(id => id !== requesterId)
+      .sort()[0];
+    if (responder !== this.localId) return;
+
+    this.bus.send("level-sync", {
+      target: requesterId,
+      level: this.getHeldLevel() || this.world.toLevel(true)
+    });
+  }
+
+  loadLevel(level) {
+    try {
+      if (this.getHeldLevel()) {
+        this.setHeldLevel(validateLevel(level));
+        return true;
+      }
+      this.world.load(validateLevel(level));
+      this.target = null;
+      return true;
+    } catch (error) {
+      console.error("Ignoring invalid level:", error.message);
+      this.setStatus(error.message);
+      return false;
+    }
+  }
+
+  exportLevel() {
+    const level = this.world.toLevel();
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: "application/json" });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `${(level.name || "level").replace(/[^\w-]+/g, "-").toLowerCase()}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    this.setStatus("Level exported");
+  }
+
+  async importLevel() {
+    const file = this.fileInput.files[0];
+    this.fileInput.value = "";
+    if (!file) return;
+    // The room would switch to a level we aren't showing or editing
+    if (this.getHeldLevel()) {
+      this.setStatus("Can't import while a replay is playing");
+      return;
+    }
+
+    let level;
+    try {
+      level = JSON.parse(await file.text());
+    } catch (error) {
+      this.setStatus(`Not valid JSON: ${error.message}`);
+      return;
+    }
+
+    if (this.loadLevel(level)) {
+      // Everyone switches to the imported level
+      this.bus.send("level-sync", { target: null, level: this.world.toLevel(true) });
+      this.setStatus(`Imported "${file.name}"`);
+    }
+  }
+}
+
+// Level data with an edit applied, for a level that isn't loaded
+function editLevel(level, edit) {
+  switch (edit.op) {
+    case "add":
+      if (!edit.box || !edit.box.id) return level;
+      return { ...level, boxes: [...level.boxes.filter(box => box.id !== edit.box.id), edit.box] };
+    case "update":
+      return {
+        ...level,
+        boxes: level.boxes.map(box => (box.id === edit.id ? mergeBoxChanges(box, edit.changes || {}) : box))
+      };
+    case "remove":
+      return { ...level, boxes: level.boxes.filter(box => box.id !== edit.id) };
+    default:
+      return level;
+  }
+}
@@ -0,0 +1,118 @@
+import { TagMode } from "./tag.js";
+
+// Available game modes by name
+export const GAME_MODES = {
+  tag: TagMode
+};
+
+// The host rebroadcasts the state this often so late joiners and clock drift catch up (ms)
+const STATE_INTERVAL = 1000;
+
+// Runs a game mode on top of the room. The host (the lowest connected client
+// id, as for level sync) owns the round state: it advances timers, validates
+// the actions other clients send as "game-action" and broadcasts the result as
+// "game-state". Everyone else only displays the state they were sent, so all
+// clients agree on rounds, scores and who is "it".
+//
+// A mode implements:
+//   createState()                          initial state
+//   serialize(state, now) / deserialize(data, now)
+//                                          state <-> message; times are sent relative to now
+//   tick(state, now, players)              host only; returns true when the state changed
+//   handleAction(state, data, clientId, now, players)
+//                                          host only; returns true when the state changed
+//   update(state, now)                     every client, once per frame
+//   render(hud, state, now)                fill in the HUD
+export class GameManager {
+  // options: { mode, localId, getPeerIds(), getPresence(id), getPlayerObjects(),
+  //            getLocalPosition(), getPlayerName(id) }
+  constructor(bus, options = {}) {
+    this.bus = bus;
+    this.localId = options.localId;
+    this.getPeerIds = options.getPeerIds || (() => []);
+    this.getPresence = options.getPresence || (() => null);
+    this.getPlayerObjects = options.getPlayerObjects || (() => new Map());
+    this.getLocalPosition = options.getLocalPosition || (() => null);
+    this.getPlayerName = options.getPlayerName || (id => id);
+
+    const Mode = GAME_MODES[options.mode || "tag"];
+    this.mode = new Mode(this);
+    this.state = this.mode.createState();
+    this.lastBroadcast = -Infinity;
+
+    this.createHud();
+
+    this.bus.on("game-state", (data, clientId) => {
+      // Only the host's view of the game counts
+      if (clientId === this.localId || clientId !== this.hostId || !data.state) return;
+      this.state = this.mode.deserialize(data.state, performance.now());
+    });
+    this.bus.on("game-action", (data, clientId) => {
+      if (clientId === this.localId) return;
+      this.handleAction(data, clientId);
+    });
+  }
+
+  createHud() {
+    this.hud = document.createElement("div");
+    this.hud.className = "game-hud";
+    document.body.appendChild(this.hud);
+  }
+
+  get hostId() {
+    const ids = this.getPeerIds();
+    if (!ids.includes(this.localId)) ids.push(this.localId);
+    return ids.sort()[0];
+  }
+
+  get isHost() {
+    return this.hostId === this.localId;
+  }
+
+  isSpectating(id) {
+    const presence = this.getPresence(id);
+    return Boolean(presence && presence.spectating);
+  }
+
+  // Connected players taking part in the game, spectators excluded
+  getParticipants() {
+    const ids = this.getPeerIds();
+    if (!ids.includes(this.localId)) ids.push(this.localId);
+    return ids.filter(id => !this.isSpectating(id)).sort();
+  }
+
+  // Ask the host to do something; the host applies its own actions directly
+  sendAction(action, payload = {}) {
+    if (this.isHost) {
+      this.handleAction({ ...payload, action }, this.localId);
+    } else {
+      this.bus.send("game-action", { ...payload, action });
+    }
+  }
+
+  handleAction(data, clientId) {
+    if (!this.isHost) return;
+    const now = performance.now();
+    if (this.mode.handleAction(this.state, data, clientId, now, this.getParticipants())) {
+      this.broadcast(now);
+    }
+  }
+
+  broadcast(now) {
+    this.bus.send("game-state", { state: this.mode.serialize(this.state, now) });
+    this.lastBroadcast = now;
+  }
+
+  // Call once per frame
+  update(now = performance.now()) {
+    if (this.isHost) {
+      const changed = this.mode.tick(this.state, now, this.getParticipants());
+      if (changed || now - this.lastBroadcast >= STATE_INTERVAL) {
+        this.broadcast(now);
+      }
+    }
+
+    this.mode.update(this.state, now);
+    this.mode.render(this.hud, this.state, now);
+  }
+}
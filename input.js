@@ -0,0 +1,329 @@
+import { safeLocalStorage } from "./storage.js";
+
+// Input actions: keyboard bindings by physical key (e.code, so layouts like
+// AZERTY keep WASD in the same place), rebindable and saved to localStorage,
+// plus Gamepad API support with analog movement and look.
+
+export const DEFAULT_BINDINGS = {
+  moveForward: ["KeyW", "ArrowUp"],
+  moveBackward: ["KeyS", "ArrowDown"],
+  moveLeft: ["KeyA", "ArrowLeft"],
+  moveRight: ["KeyD", "ArrowRight"],
+  jump: ["Space"],
+  sprint: ["ShiftLeft"],
+  crouch: ["KeyC"]
+};
+
+// Human readable names for the bindings panel
+export const ACTION_LABELS = {
+  moveForward: "Move forward",
+  moveBackward: "Move backward",
+  moveLeft: "Move left",
+  moveRight: "Move right",
+  jump: "Jump",
+  sprint: "Sprint",
+  crouch: "Crouch / slide"
+};
+
+// Standard gamepad mapping: left stick moves, right stick looks
+const GAMEPAD_BUTTONS = {
+  jump: [0], // A / Cross
+  crouch: [1], // B / Circle
+  sprint: [10] // Left stick press
+};
+const MOVE_AXES = [0, 1];
+const LOOK_AXES = [2, 3];
+const DEADZONE = 0.15;
+
+const STORAGE_KEY = "fpp.bindings";
+
+// Radial deadzone: ignore small stick offsets and rescale the rest to 0..1
+export function applyDeadzone(x, y, deadzone = DEADZONE) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude < deadzone) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+  return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
+export function keyLabel(code) {
+  if (!code) return "—";
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  const symbols = {
+    ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→",
+    BracketLeft: "[", BracketRight: "]", Backquote: "`"
+  };
+  return symbols[code] || code;
+}
+
+export class InputManager {
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : safeLocalStorage();
+    this.defaults = cloneBindings(DEFAULT_BINDINGS);
+    this.labels = { ...ACTION_LABELS };
+    this.bindings = this.loadBindings();
+    this.pressed = new Set();
+    this.listeners = new Map();
+
+    // Gamepad state, refreshed by pollGamepads()
+    this.gamepadMove = { x: 0, y: 0 };
+    this.gamepadLook = { x: 0, y: 0 };
+    this.gamepadButtons = new Set();
+    this.gamepadActive = false;
+
+    // While set, the next key press is captured for rebinding
+    this.capture = null;
+
+    this.setupEventListeners();
+  }
+
+  // Saved bindings override the defaults action by action
+  loadBindings() {
+    let saved = {};
+    if (this.storage) {
+      try {
+        saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || "{}");
+      } catch (error) {
+        console.log("Ignoring saved key bindings:", error.message);
+      }
+    }
+    this.saved = saved;
+
+    const bindings = {};
+    Object.keys(this.defaults).forEach(action => {
+      bindings[action] = this.savedBinding(action) || [...this.defaults[action]];
+    });
+    return bindings;
+  }
+
+  savedBinding(action) {
+    const codes = this.saved[action];
+    if (Array.isArray(codes) && codes.every(code => typeof code === "string")) {
+      return [...codes];
+    }
+    return null;
+  }
+
+  saveBindings() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (error) {
+      console.log("Could not save key bindings:", error.message);
+    }
+  }
+
+  // Register a new action (for subsystems added later), keeping a saved binding if there is one
+  registerAction(action, codes, label) {
+    this.defaults[action] = [...codes];
+    if (label) this.labels[action] = label;
+    if (!this.bindings[action]) {
+      this.bindings[action] = this.savedBinding(action) || [...codes];
+    }
+  }
+
+  // Set one slot of an action's bindings. A key is only bound to one action.
+  rebind(action, slot, code) {
+    Object.keys(this.bindings).forEach(other => {
+      this.bindings[other] = this.bindings[other].map(c => (c === code ? null : c)).filter(Boolean);
+    });
+    const codes = this.bindings[action] || [];
+    codes[Math.min(slot, codes.length)] = code;
+    this.bindings[action] = codes.filter(Boolean);
+    this.saveBindings();
+  }
+
+  resetBindings() {
+    this.bindings = cloneBindings(this.defaults);
+    this.saveBindings();
+  }
+
+  // Wait for the next key press and bind it; Escape cancels
+  captureNextKey(callback) {
+    this.capture = callback;
+  }
+
+  setupEventListeners() {
+    document.addEventListener("keydown", (e) => {
+      if (this.capture) {
+        const callback = this.capture;
+        this.capture = null;
+        callback(e.code === "Escape" ? null : e.code);
+        e.preventDefault();
+        return;
+      }
+
+      // Ignore typing in text fields such as the chat box
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+      this.gamepadActive = false;
+      const wasPressed = this.pressed.has(e.code);
+      this.pressed.add(e.code);
+      if (!wasPressed) {
+        this.actionsForCode(e.code).forEach(action => this.emit(action));
+      }
+    });
+
+    document.addEventListener("keyup", (e) => {
+      this.pressed.delete(e.code);
+    });
+
+    // Keys held while the window loses focus never get a keyup
+    window.addEventListener("blur", () => this.pressed.clear());
+
+    // Back on the mouse: controls need pointer lock again (see controls.js)
+    document.addEventListener("mousedown", () => {
+      this.gamepadActive = false;
+    });
+  }
+
+  actionsForCode(code) {
+    return Object.keys(this.bindings).filter(action => this.bindings[action].includes(code));
+  }
+
+  // Call back on every press of an action (keyboard or gamepad); returns unsubscribe
+  onAction(action, callback) {
+    if (!this.listeners.has(action)) {
+      this.listeners.set(action, new Set());
+    }
+    this.listeners.get(action).add(callback);
+    return () => this.listeners.get(action).delete(callback);
+  }
+
+  emit(action) {
+    const listeners = this.listeners.get(action);
+    if (listeners) listeners.forEach(callback => callback(action));
+  }
+
+  isDown(action) {
+    const codes = this.bindings[action] || [];
+    if (codes.some(code => this.pressed.has(code))) return true;
+    return (GAMEPAD_BUTTONS[action] || []).some(button => this.gamepadButtons.has(button));
+  }
+
+  // Read the first connected gamepad; call once per frame
+  pollGamepads() {
+    const gamepads = typeof navigator !== "undefined" && navigator.getGamepads ? navigator.getGamepads() : [];
+    const gamepad = [...gamepads].find(pad => pad && pad.connected);
+
+    if (!gamepad) {
+      this.gamepadMove = { x: 0, y: 0 };
+      this.gamepadLook = { x: 0, y: 0 };
+      this.gamepadButtons.clear();
+      this.gamepadActive = false;
+      return;
+    }
+
+    const axis = (index) => gamepad.axes[index] || 0;
+    this.gamepadMove = applyDeadzone(axis(MOVE_AXES[0]), axis(MOVE_AXES[1]));
+    this.gamepadLook = applyDeadzone(axis(LOOK_AXES[0]), axis(LOOK_AXES[1]));
+
+    // Fire actions on button press edges
+    Object.keys(GAMEPAD_BUTTONS).forEach(action => {
+      GAMEPAD_BUTTONS[action].forEach(index => {
+        const pressed = gamepad.buttons[index] && gamepad.buttons[index].pressed;
+        if (pressed && !this.gamepadButtons.has(index)) {
+          this.gamepadButtons.add(index);
+          this.emit(action);
+        } else if (!pressed) {
+          this.gamepadButtons.delete(index);
+        }
+      });
+    });
+
+    const moving = this.gamepadMove.x !== 0 || this.gamepadMove.y !== 0 ||
+      this.gamepadLook.x !== 0 || this.gamepadLook.y !== 0 || this.gamepadButtons.size > 0;
+    // Until the next key press or click, or the pad is disconnected
+    if (moving) this.gamepadActive = true;
+  }
+
+  // Combined keyboard and stick movement: forward and right in -1..1
+  getMove() {
+    let forward = 0;
+    let right = 0;
+    if (this.isDown("moveForward")) forward += 1;
+    if (this.isDown("moveBackward")) forward -= 1;
+    if (this.isDown("moveRight")) right += 1;
+    if (this.isDown("moveLeft")) right -= 1;
+
+    // Stick up is negative y
+    forward -= this.gamepadMove.y;
+    right += this.gamepadMove.x;
+
+    return {
+      forward: Math.max(-1, Math.min(1, forward)),
+      right: Math.max(-1, Math.min(1, right))
+    };
+  }
+
+  // Right stick deflection, x to the right and y down, after the deadzone
+  getLook() {
+    return this.gamepadLook;
+  }
+}
+
+function cloneBindings(bindings) {
+  const copy = {};
+  Object.keys(bindings).forEach(action => {
+    copy[action] = [...bindings[action]];
+  });
+  return copy;
+}
+
+
+// Panel listing every action with two binding slots; click a slot, then press a key
+export function createBindingsPanel(input) {
+  const panel = document.createElement("div");
+  panel.className = "bindings-panel";
+
+  function render() {
+    panel.innerHTML = "";
+
+    const title = document.createElement("div");
+    title.className = "bindings-title";
+    title.textContent = "Key bindings";
+    panel.appendChild(title);
+
+    Object.keys(input.bindings).forEach(action => {
+      const row = document.createElement("div");
+      row.className = "bindings-row";
+
+      const label = document.createElement("span");
+      label.className = "bindings-label";
+      label.textContent = input.labels[action] || action;
+      row.appendChild(label);
+
+      [0, 1].forEach(slot => {
+        const button = document.createElement("button");
+        button.className = "bindings-key";
+        button.textContent = keyLabel(input.bindings[action][slot]);
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          button.textContent = "Press a key…";
+          input.captureNextKey(code => {
+            if (code) input.rebind(action, slot, code);
+            render();
+          });
+        });
+        row.appendChild(button);
+      });
+
+      panel.appendChild(row);
+    });
+
+    const reset = document.createElement("button");
+    reset.className = "bindings-reset";
+    reset.textContent = "Reset to defaults";
+    reset.addEventListener("click", (e) => {
+      e.stopPropagation();
+      input.resetBindings();
+      render();
+    });
+    panel.appendChild(reset);
+  }
+
+  render();
+  // Don't let clicks on the panel lock the pointer
+  panel.addEventListener("click", (e) => e.stopPropagation());
+  return { element: panel, render };
+}
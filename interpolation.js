@@ -0,0 +1,104 @@
+import * as THREE from "three";
+
+// Remote players are drawn this far in the past so there is usually a
+// snapshot on either side of the render time
+export const RENDER_DELAY = 100; // ms
+// How far past the newest snapshot we keep dead-reckoning, and how long we
+// then take to ease back to the newest snapshot. Players who stop send
+// nothing more, so a missing update usually means they stood still.
+export const MAX_EXTRAPOLATION = 250; // ms
+const SETTLE_TIME = 200; // ms
+const MAX_SNAPSHOTS = 32;
+
+// Per-player history of timestamped position/rotation samples
+export class SnapshotBuffer {
+  constructor() {
+    this.snapshots = [];
+  }
+
+  // time in ms (local clock), position and quaternion as arrays
+  push(time, position, quaternion) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    // Out-of-order samples are useless for interpolation
+    if (last && time <= last.time) return;
+
+    this.snapshots.push({
+      time,
+      position: new THREE.Vector3().fromArray(position),
+      quaternion: new THREE.Quaternion().fromArray(quaternion).normalize()
+    });
+
+    if (this.snapshots.length > MAX_SNAPSHOTS) {
+      this.snapshots.shift();
+    }
+  }
+
+  // True if the sample differs from the newest snapshot
+  differs(position, quaternion) {
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (!last) return true;
+    return last.position.x !== position[0] ||
+      last.position.y !== position[1] ||
+      last.position.z !== position[2] ||
+      last.quaternion.x !== quaternion[0] ||
+      last.quaternion.y !== quaternion[1] ||
+      last.quaternion.z !== quaternion[2] ||
+      last.quaternion.w !== quaternion[3];
+  }
+
+  // Drop history and start again from a single sample (used for teleports)
+  reset(time, position, quaternion) {
+    this.snapshots.length = 0;
+    this.push(time, position, quaternion);
+  }
+
+  // Write the state at renderTime into outPosition/outQuaternion.
+  // Returns false if there is nothing to sample yet.
+  sample(renderTime, outPosition, outQuaternion) {
+    const count = this.snapshots.length;
+    if (count === 0) return false;
+
+    const first = this.snapshots[0];
+    const last = this.snapshots[count - 1];
+
+    if (count === 1 || renderTime <= first.time) {
+      const only = renderTime <= first.time ? first : last;
+      outPosition.copy(only.position);
+      outQuaternion.copy(only.quaternion);
+      return true;
+    }
+
+    if (renderTime >= last.time) {
+      // Late packet: extrapolate along the last known velocity for a bounded
+      // time, then settle back where they were last seen
+      const previous = this.snapshots[count - 2];
+      const span = last.time - previous.time;
+      const elapsed = renderTime - last.time;
+      const ahead = Math.min(elapsed, MAX_EXTRAPOLATION);
+      const settled = Math.min(1, Math.max(0, elapsed - MAX_EXTRAPOLATION) / SETTLE_TIME);
+      const t = span > 0 ? (ahead / span) * (1 - settled) : 0;
+
+      outPosition.copy(last.position).sub(previous.position).multiplyScalar(t).add(last.position);
+      outQuaternion.copy(last.quaternion);
+      return true;
+    }
+
+    // Find the pair of snapshots surrounding renderTime
+    let index = count - 2;
+    while (index > 0 && this.snapshots[index].time > renderTime) {
+      index--;
+    }
+    const from = this.snapshots[index];
+    const to = this.snapshots[index + 1];
+    const alpha = (renderTime - from.time) / (to.time - from.time);
+
+    outPosition.lerpVectors(from.position, to.position, alpha);
+    outQuaternion.slerpQuaternions(from.quaternion, to.quaternion, alpha);
+
+    // Older snapshots are no longer needed
+    if (index > 0) {
+      this.snapshots.splice(0, index);
+    }
+    return true;
+  }
+}
@@ -0,0 +1,734 @@
+import * as THREE from "three";
+import { CollisionWorld, createBox } from "./collision.js";
+import { PlatformSystem } from "./platforms.js";
+
+// Level files are JSON:
+// {
+//   "name": "Arena",
+//   "ground": { "width": 50, "depth": 50, "color": "#55aa55", "grid": true },
+//   "spawnPoints": [{ "x": 0, "y": 0.5, "z": 0 }],
+//   "lighting": {
+//     "background": "#87CEEB",
+//     "ambient": { "color": "#ffffff", "intensity": 0.5 },
+//     "sun": { "color": "#ffffff", "intensity": 1, "position": [5, 10, 5] },
+//     "dayNight": { "dayLength": 600, "offset": 0.35 }
+//   },
+//   "materials": { "wall": { "color": "#888888", "roughness": 0.7, "metalness": 0.2 } },
+//   "boxes": [
+//     { "size": [2, 0.5, 2], "position": [4, 1.5, 0], "material": "wall", "collider": "block" },
+//     { "size": [1, 3, 1], "position": [0, 1.5, 6], "color": "#ff9aa2", "collider": "barrier" }
+//   ],
+//   "killY": -10,
+//   "triggers": [
+//     { "type": "checkpoint", "id": "tower", "size": [2, 2, 2], "position": [4, 2.75, 0] },
+//     { "type": "kill", "size": [4, 1, 4], "position": [10, 0.5, 10] }
+//   ],
+//   "platforms": [
+//     { "size": [3, 0.5, 3], "path": [[6, 0.25, 0], [6, 4, 0]], "speed": 1.5, "pause": 1, "material": "wall" },
+//     { "size": [5, 0.5, 5], "position": [0, 1, 8], "rotate": { "speed": 45, "step": 90, "pause": 2 } }
+//   ]
+// }
+// The lighting is the midday look of a day/night cycle (see daynight.js): the
+// sun goes round once every dayLength seconds of room time, and offset is the
+// time of day at room time 0 (0 midnight, 0.5 noon). "dayNight": false keeps
+// the lighting fixed, with the sun in the direction of sun.position.
+// Box and trigger positions are centres. Collider is "barrier", "block" or "none".
+// Falling below killY (default -10) or walking into a kill trigger respawns the
+// player; checkpoints become their respawn point.
+// Platforms follow their path (back and forth, or round when "loop" is true)
+// at `speed` units per second, waiting `pause` seconds at each waypoint, and/or
+// turn at rotate.speed degrees per second, in turns of rotate.step degrees
+// with rotate.pause seconds between them if given. "offset" shifts a
+// platform's schedule in seconds. Rotating platforms are square, size[0] on a
+// side (size[2] is ignored). Their collider doesn't turn with them: it only
+// matches the drawn platform at multiples of 90 degrees, and mid-turn the
+// corners overhang it and its corners stand on air. A rotate.step of 90 with
+// a pause keeps them matching while at rest; continuous spin never does.
+
+export const DEFAULT_LEVEL = "procedural";
+export const COLLIDER_TYPES = ["barrier", "block", "none"];
+export const TRIGGER_TYPES = ["kill", "checkpoint"];
+
+const DEFAULT_LIGHTING = {
+  background: "#87CEEB", // Light sky blue background
+  ambient: { color: "#ffffff", intensity: 0.5 },
+  sun: { color: "#ffffff", intensity: 1, position: [5, 10, 5] }
+};
+
+const DEFAULT_MATERIAL = { color: "#888888", roughness: 0.7, metalness: 0.2 };
+const DEFAULT_KILL_Y = -10;
+const DEFAULT_SHADOW_MAP_SIZE = 2048;
+// The sun's shadow camera covers this far around the player, and sits this
+// far from them towards the sun
+const SHADOW_RADIUS = 25;
+const SUN_DISTANCE = 60;
+
+export class LevelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LevelError";
+  }
+}
+
+// Simple seeded random number generator
+export class MathRandom {
+  constructor(seed) {
+    this.seed = seed;
+  }
+
+  random() {
+    const x = Math.sin(this.seed++) * 10000;
+    return x - Math.floor(x);
+  }
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function isVector(value, positive = false) {
+  return Array.isArray(value) && value.length === 3 &&
+    value.every(v => isNumber(v) && (!positive || v > 0));
+}
+
+function isColor(value) {
+  return typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+}
+
+// Check one box against the level's named materials, as in a level file
+// or an editor edit (see editor.js). Throws a LevelError.
+export function validateBox(box, materials = {}, path = "box") {
+  const fail = (field, message) => {
+    throw new LevelError(`${field} ${message}`);
+  };
+
+  if (!box || typeof box !== "object") fail(path, "must be an object");
+  if (box.id !== undefined && typeof box.id !== "string") fail(`${path}.id`, "must be a string");
+  if (!isVector(box.size, true)) fail(`${path}.size`, "must be an array of 3 positive numbers");
+  if (!isVector(box.position)) fail(`${path}.position`, "must be an array of 3 numbers");
+  if (box.material !== undefined && !materials[box.material]) {
+    fail(`${path}.material`, `refers to unknown material "${box.material}"`);
+  }
+  if (box.color !== undefined && !isColor(box.color)) fail(`${path}.color`, "must be a hex colour");
+  if (box.collider !== undefined && !COLLIDER_TYPES.includes(box.collider)) {
+    fail(`${path}.collider`, `must be one of ${COLLIDER_TYPES.join(", ")}`);
+  }
+}
+
+// Throws a LevelError describing the first problem found
+export function validateLevel(level) {
+  const fail = (path, message) => {
+    throw new LevelError(`${path} ${message}`);
+  };
+
+  if (!level || typeof level !== "object" || Array.isArray(level)) {
+    fail("level", "must be a JSON object");
+  }
+
+  if (level.name !== undefined && typeof level.name !== "string") {
+    fail("name", "must be a string");
+  }
+
+  const ground = level.ground;
+  if (!ground || typeof ground !== "object") fail("ground", "is required");
+  if (!isNumber(ground.width) || ground.width <= 0) fail("ground.width", "must be a positive number");
+  if (!isNumber(ground.depth) || ground.depth <= 0) fail("ground.depth", "must be a positive number");
+  if (ground.color !== undefined && !isColor(ground.color)) fail("ground.color", "must be a hex colour like \"#55aa55\"");
+  if (ground.grid !== undefined && typeof ground.grid !== "boolean") fail("ground.grid", "must be true or false");
+
+  if (!Array.isArray(level.spawnPoints) || level.spawnPoints.length === 0) {
+    fail("spawnPoints", "must be a non-empty array");
+  }
+  level.spawnPoints.forEach((point, i) => {
+    if (!point || !isNumber(point.x) || !isNumber(point.y) || !isNumber(point.z)) {
+      fail(`spawnPoints[${i}]`, "must have numeric x, y and z");
+    }
+  });
+
+  const lighting = level.lighting;
+  if (lighting !== undefined) {
+    if (typeof lighting !== "object") fail("lighting", "must be an object");
+    if (lighting.background !== undefined && !isColor(lighting.background)) {
+      fail("lighting.background", "must be a hex colour");
+    }
+    ["ambient", "sun"].forEach(key => {
+      const light = lighting[key];
+      if (light === undefined) return;
+      if (light.color !== undefined && !isColor(light.color)) fail(`lighting.${key}.color`, "must be a hex colour");
+      if (light.intensity !== undefined && (!isNumber(light.intensity) || light.intensity < 0)) {
+        fail(`lighting.${key}.intensity`, "must be a number >= 0");
+      }
+    });
+    if (lighting.sun && lighting.sun.position !== undefined && !isVector(lighting.sun.position)) {
+      fail("lighting.sun.position", "must be an array of 3 numbers");
+    }
+    const dayNight = lighting.dayNight;
+    if (dayNight !== undefined && dayNight !== false) {
+      if (!dayNight || typeof dayNight !== "object") fail("lighting.dayNight", "must be an object or false");
+      if (dayNight.dayLength !== undefined && (!isNumber(dayNight.dayLength) || dayNight.dayLength <= 0)) {
+        fail("lighting.dayNight.dayLength", "must be a number > 0");
+      }
+      if (dayNight.offset !== undefined && (!isNumber(dayNight.offset) || dayNight.offset < 0 || dayNight.offset >= 1)) {
+        fail("lighting.dayNight.offset", "must be a number from 0 up to 1");
+      }
+    }
+  }
+
+  const materials = level.materials || {};
+  if (typeof materials !== "object" || Array.isArray(materials)) fail("materials", "must be an object");
+  Object.keys(materials).forEach(key => {
+    const material = materials[key];
+    if (!material || !isColor(material.color)) fail(`materials.${key}.color`, "must be a hex colour");
+    ["roughness", "metalness"].forEach(prop => {
+      if (material[prop] !== undefined && (!isNumber(material[prop]) || material[prop] < 0 || material[prop] > 1)) {
+        fail(`materials.${key}.${prop}`, "must be a number between 0 and 1");
+      }
+    });
+  });
+
+  if (!Array.isArray(level.boxes)) fail("boxes", "must be an array");
+  level.boxes.forEach((box, i) => validateBox(box, materials, `boxes[${i}]`));
+
+  if (level.killY !== undefined && !isNumber(level.killY)) fail("killY", "must be a number");
+
+  const triggers = level.triggers || [];
+  if (!Array.isArray(triggers)) fail("triggers", "must be an array");
+  triggers.forEach((trigger, i) => {
+    const path = `triggers[${i}]`;
+    if (!trigger || typeof trigger !== "object") fail(path, "must be an object");
+    if (!TRIGGER_TYPES.includes(trigger.type)) fail(`${path}.type`, `must be one of ${TRIGGER_TYPES.join(", ")}`);
+    if (trigger.id !== undefined && typeof trigger.id !== "string") fail(`${path}.id`, "must be a string");
+    if (!isVector(trigger.size, true)) fail(`${path}.size`, "must be an array of 3 positive numbers");
+    if (!isVector(trigger.position)) fail(`${path}.position`, "must be an array of 3 numbers");
+  });
+
+  const platforms = level.platforms || [];
+  if (!Array.isArray(platforms)) fail("platforms", "must be an array");
+  platforms.forEach((platform, i) => {
+    const path = `platforms[${i}]`;
+    if (!platform || typeof platform !== "object") fail(path, "must be an object");
+    if (!isVector(platform.size, true)) fail(`${path}.size`, "must be an array of 3 positive numbers");
+    if (platform.path !== undefined) {
+      if (!Array.isArray(platform.path) || platform.path.length < 2 || !platform.path.every(point => isVector(point))) {
+        fail(`${path}.path`, "must be an array of at least 2 positions");
+      }
+      if (!isNumber(platform.speed) || platform.speed <= 0) fail(`${path}.speed`, "must be a positive number");
+    } else if (!isVector(platform.position)) {
+      fail(`${path}.position`, "must be an array of 3 numbers when there is no path");
+    }
+    if (platform.pause !== undefined && (!isNumber(platform.pause) || platform.pause < 0)) {
+      fail(`${path}.pause`, "must be a number >= 0");
+    }
+    if (platform.loop !== undefined && typeof platform.loop !== "boolean") fail(`${path}.loop`, "must be true or false");
+    if (platform.offset !== undefined && !isNumber(platform.offset)) fail(`${path}.offset`, "must be a number");
+    const rotate = platform.rotate;
+    if (rotate !== undefined) {
+      if (!rotate || typeof rotate !== "object") fail(`${path}.rotate`, "must be an object");
+      if (!isNumber(rotate.speed) || rotate.speed === 0) fail(`${path}.rotate.speed`, "must be a non-zero number");
+      ["step", "pause"].forEach(prop => {
+        if (rotate[prop] !== undefined && (!isNumber(rotate[prop]) || rotate[prop] < 0)) {
+          fail(`${path}.rotate.${prop}`, "must be a number >= 0");
+        }
+      });
+    }
+    if (platform.material !== undefined && !materials[platform.material]) {
+      fail(`${path}.material`, `refers to unknown material "${platform.material}"`);
+    }
+    if (platform.color !== undefined && !isColor(platform.color)) fail(`${path}.color`, "must be a hex colour");
+  });
+
+  return level;
+}
+
+// The original seeded map: 15 barriers and 10 platforms around the centre
+export function generateProceduralLevel(seed = 12345) {
+  const rng = new MathRandom(seed);
+  const boxes = [];
+
+  // Create some random barriers
+  for (let i = 0; i < 15; i++) {
+    const width = 1 + rng.random() * 3;
+    const height = 1 + rng.random() * 3;
+    const depth = 1 + rng.random() * 3;
+
+    // Random position, but not too close to center
+    const angle = rng.random() * Math.PI * 2;
+    const distance = 5 + rng.random() * 15;
+    boxes.push({
+      size: [width, height, depth],
+      position: [Math.cos(angle) * distance, height / 2, Math.sin(angle) * distance],
+      material: "wall",
+      collider: "barrier"
+    });
+  }
+
+  // Add some platform blocks at various heights
+  for (let i = 0; i < 10; i++) {
+    const angle = rng.random() * Math.PI * 2;
+    const distance = 5 + rng.random() * 15;
+    boxes.push({
+      size: [2, 0.5, 2],
+      position: [Math.cos(angle) * distance, 1 + rng.random() * 3, Math.sin(angle) * distance],
+      material: "wall",
+      collider: "block"
+    });
+  }
+
+  // Spawn in a ring inside the clear area in the middle
+  const spawnPoints = [];
+  for (let i = 0; i < 8; i++) {
+    const angle = (i / 8) * Math.PI * 2;
+    spawnPoints.push({ x: Math.cos(angle) * 3, y: 0.5, z: Math.sin(angle) * 3 });
+  }
+
+  return {
+    name: `Procedural (${seed})`,
+    ground: { width: 50, depth: 50, color: "#55aa55", grid: true },
+    spawnPoints,
+    lighting: DEFAULT_LIGHTING,
+    materials: { wall: DEFAULT_MATERIAL },
+    boxes
+  };
+}
+
+// Level name from ?level=..., optional ?seed=... for the procedural generator
+export function getLevelParams(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const seed = parseInt(params.get("seed"), 10);
+  return {
+    name: params.get("level") || DEFAULT_LEVEL,
+    seed: Number.isFinite(seed) ? seed : undefined
+  };
+}
+
+// Resolve a level by name: "procedural" is generated, anything else is
+// fetched from levels/<name>.json and validated
+export async function loadLevel(name = DEFAULT_LEVEL, seed) {
+  if (name === "procedural") {
+    return generateProceduralLevel(seed);
+  }
+
+  if (!/^[\w-]+$/.test(name)) {
+    throw new LevelError(`Invalid level name "${name}"`);
+  }
+
+  const response = await fetch(`./levels/${name}.json`);
+  if (!response.ok) {
+    throw new LevelError(`Level "${name}" not found (HTTP ${response.status})`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw new LevelError(`Level "${name}" is not valid JSON: ${error.message}`);
+  }
+
+  try {
+    return validateLevel(data);
+  } catch (error) {
+    throw new LevelError(`Level "${name}": ${error.message}`);
+  }
+}
+
+function createMaterial(spec) {
+  return new THREE.MeshStandardMaterial({
+    color: spec.color,
+    roughness: spec.roughness !== undefined ? spec.roughness : DEFAULT_MATERIAL.roughness,
+    metalness: spec.metalness !== undefined ? spec.metalness : DEFAULT_MATERIAL.metalness
+  });
+}
+
+// Every level box is this unit cube scaled to size, so they can be drawn in batches
+const UNIT_BOX = new THREE.BoxGeometry(1, 1, 1);
+
+// The mesh isn't drawn itself: it stands in for the box in raycasts and the
+// minimap, and LevelWorld draws it as one instance of its material's batch
+export function createLevelBox(box, material) {
+  const [width, height, depth] = box.size;
+  const mesh = new THREE.Mesh(UNIT_BOX, material);
+  mesh.position.fromArray(box.position);
+  mesh.scale.set(width, height, depth);
+  // Not in the scene, so nothing else updates its matrix
+  mesh.updateMatrixWorld();
+
+  const collider = box.collider || "barrier";
+  if (collider === "barrier") mesh.userData.isBarrier = true;
+  if (collider === "block") mesh.userData.isBlock = true;
+
+  if (collider === "none") return { mesh, collider: null };
+
+  const [x, y, z] = box.position;
+  return {
+    mesh,
+    collider: createBox(
+      x - width / 2, y - height / 2, z - depth / 2,
+      x + width / 2, y + height / 2, z + depth / 2,
+      { object: mesh }
+    )
+  };
+}
+
+// Trigger volumes from the level file as plain boxes for triggers.js
+export function createTriggerVolumes(triggers) {
+  return triggers.map((trigger, i) => {
+    const [width, height, depth] = trigger.size;
+    const [x, y, z] = trigger.position;
+    return createBox(
+      x - width / 2, y - height / 2, z - depth / 2,
+      x + width / 2, y + height / 2, z + depth / 2,
+      { type: trigger.type, id: trigger.id || `${trigger.type}-${i}` }
+    );
+  });
+}
+
+const TRIGGER_COLORS = { kill: "#ff3030", checkpoint: "#30ff80" };
+
+function createTriggerMesh(volume) {
+  const size = ["x", "y", "z"].map(axis => volume.max[axis] - volume.min[axis]);
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(...size),
+    new THREE.MeshBasicMaterial({ color: TRIGGER_COLORS[volume.type], transparent: true, opacity: 0.2, depthWrite: false })
+  );
+  mesh.position.set(
+    (volume.min.x + volume.max.x) / 2,
+    (volume.min.y + volume.max.y) / 2,
+    (volume.min.z + volume.max.z) / 2
+  );
+  mesh.userData.triggerId = volume.id;
+  return mesh;
+}
+
+// Moving platforms are drawn as boxes, square when they rotate; platforms.js moves them
+function createPlatformMesh(platform, material) {
+  const [width, height, depth] = platform.size;
+  const geometry = new THREE.BoxGeometry(width, height, platform.rotate ? width : depth);
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  mesh.userData.isPlatform = true;
+  return mesh;
+}
+
+// Rotation into and out of the sun's view, for aimSun()
+const sunView = new THREE.Matrix4();
+const sunViewInverse = new THREE.Matrix4();
+const ORIGIN = new THREE.Vector3();
+const UP = new THREE.Vector3(0, 1, 0);
+
+// The live level in the scene: lights, ground, box meshes and their colliders.
+// Boxes can be added, changed and removed at runtime (see editor.js). They
+// are drawn with one InstancedMesh per material, rebuilt when its boxes change.
+export class LevelWorld {
+  constructor(scene, level) {
+    this.scene = scene;
+    this.collisionWorld = new CollisionWorld();
+    this.materials = new Map();
+    // id -> { box, mesh, collider, materialKey }
+    this.boxes = new Map();
+    // material key -> InstancedMesh, and the keys whose boxes changed
+    this.batches = new Map();
+    this.dirtyBatches = new Set();
+    this.loading = false;
+    // Called after every load(), for things made from the level's data
+    this.loadListeners = new Set();
+    this.nextBoxId = 0;
+    // Bumped on every change to the boxes, so views of the level know to redraw
+    this.version = 0;
+    // Resolution of the sun's shadow map, 0 for no shadows (see settings.js)
+    this.shadowMapSize = DEFAULT_SHADOW_MAP_SIZE;
+    this.load(level);
+  }
+
+  // Replace everything with a new (validated) level
+  load(level) {
+    // Batches are built once every box is in
+    this.loading = true;
+    this.clear();
+    this.level = level;
+    this.materialSpecs = level.materials || {};
+    this.spawnPoints = level.spawnPoints;
+    this.killY = level.killY !== undefined ? level.killY : DEFAULT_KILL_Y;
+
+    const lighting = {
+      ...DEFAULT_LIGHTING,
+      ...level.lighting,
+      ambient: { ...DEFAULT_LIGHTING.ambient, ...(level.lighting && level.lighting.ambient) },
+      sun: { ...DEFAULT_LIGHTING.sun, ...(level.lighting && level.lighting.sun) }
+    };
+    const { width, depth } = level.ground;
+    const extent = Math.max(width, depth) / 2;
+
+    this.lighting = lighting;
+    this.scene.background = new THREE.Color(lighting.background);
+
+    // Ambient light
+    this.ambientLight = new THREE.AmbientLight(lighting.ambient.color, lighting.ambient.intensity);
+    this.scene.add(this.ambientLight);
+
+    // Directional light (sun). Its shadow camera covers the ground around
+    // the player, see aimSun()
+    this.dirLight = new THREE.DirectionalLight(lighting.sun.color, lighting.sun.intensity);
+    this.applyShadowMapSize();
+    this.shadowRadius = Math.min(extent, SHADOW_RADIUS);
+    this.dirLight.shadow.camera.near = 0.5;
+    this.dirLight.shadow.camera.far = SUN_DISTANCE + this.shadowRadius * 2;
+    this.dirLight.shadow.camera.left = -this.shadowRadius;
+    this.dirLight.shadow.camera.right = this.shadowRadius;
+    this.dirLight.shadow.camera.top = this.shadowRadius;
+    this.dirLight.shadow.camera.bottom = -this.shadowRadius;
+    this.scene.add(this.dirLight);
+    this.scene.add(this.dirLight.target);
+    this.aimSun(new THREE.Vector3().fromArray(lighting.sun.position).normalize(), new THREE.Vector3());
+
+    // Ground
+    const groundGeometry = new THREE.PlaneGeometry(width, depth);
+    const groundMaterial = new THREE.MeshStandardMaterial({
+      color: level.ground.color || "#55aa55",
+      roughness: 0.8,
+      metalness: 0.2
+    });
+    this.ground = new THREE.Mesh(groundGeometry, groundMaterial);
+    this.ground.rotation.x = -Math.PI / 2; // Rotate to horizontal
+    this.ground.receiveShadow = true;
+    this.scene.add(this.ground);
+
+    // Grid helper for better spatial awareness
+    this.gridHelper = null;
+    if (level.ground.grid !== false) {
+      this.gridHelper = new THREE.GridHelper(Math.max(width, depth), Math.round(Math.max(width, depth)));
+      this.scene.add(this.gridHelper);
+    }
+
+    this.bounds = { minX: -width / 2, maxX: width / 2, minZ: -depth / 2, maxZ: depth / 2 };
+    // Players can walk off the edge of the ground
+    this.collisionWorld.floorBounds = this.bounds;
+
+    // Trigger volumes, drawn as translucent boxes
+    this.triggerVolumes = createTriggerVolumes(level.triggers || []);
+    this.triggerMeshes = this.triggerVolumes.map(volume => createTriggerMesh(volume));
+    this.triggerMeshes.forEach(mesh => this.scene.add(mesh));
+
+    level.boxes.forEach(box => this.addBox(box));
+    this.loading = false;
+    this.updateBatches();
+
+    // Moving platforms; app.js steps them with the room clock
+    this.platforms = new PlatformSystem(this.collisionWorld, level.platforms || []);
+    this.platforms.entries.forEach(entry => {
+      entry.object = createPlatformMesh(entry.platform, this.materialFor(entry.platform));
+      this.scene.add(entry.object);
+    });
+    this.platforms.render();
+    this.version++;
+    this.loadListeners.forEach(listener => listener(this));
+  }
+
+  // Call back after each new level is loaded; returns a function to stop
+  onLoad(callback) {
+    this.loadListeners.add(callback);
+    return () => this.loadListeners.delete(callback);
+  }
+
+  // Remove every object this world added to the scene
+  clear() {
+    const sunTarget = this.dirLight && this.dirLight.target;
+    [this.ambientLight, this.dirLight, sunTarget, this.ground, this.gridHelper, ...(this.triggerMeshes || [])].forEach(object => {
+      if (!object) return;
+      this.scene.remove(object);
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+    if (this.dirLight) this.dirLight.dispose();
+
+    if (this.platforms) {
+      this.platforms.entries.forEach(({ object }) => {
+        this.scene.remove(object);
+        object.geometry.dispose();
+      });
+      this.platforms.dispose();
+    }
+
+    [...this.boxes.keys()].forEach(id => this.removeBox(id));
+    this.batches.forEach(batch => {
+      this.scene.remove(batch);
+      batch.dispose();
+    });
+    this.batches.clear();
+    this.dirtyBatches.clear();
+    this.materials.forEach(material => material.dispose());
+    this.materials.clear();
+  }
+
+  setShadowMapSize(size) {
+    this.shadowMapSize = size;
+    if (this.dirLight) this.applyShadowMapSize();
+  }
+
+  applyShadowMapSize() {
+    const light = this.dirLight;
+    light.castShadow = this.shadowMapSize > 0;
+    if (!light.castShadow || light.shadow.mapSize.width === this.shadowMapSize) return;
+    light.shadow.mapSize.set(this.shadowMapSize, this.shadowMapSize);
+    // The map is reallocated at the new size on the next render
+    if (light.shadow.map) {
+      light.shadow.map.dispose();
+      light.shadow.map = null;
+    }
+  }
+
+  // Point the sun along `direction` (a unit vector towards it) and centre its
+  // shadow camera on `focus`. The centre moves in whole shadow map texels as
+  // seen from the sun, so shadow edges don't shimmer as the player moves.
+  aimSun(direction, focus) {
+    const light = this.dirLight;
+    const centre = light.target.position.copy(focus);
+    if (this.shadowMapSize > 0) {
+      const texel = (this.shadowRadius * 2) / this.shadowMapSize;
+      sunView.lookAt(direction, ORIGIN, UP);
+      centre.applyMatrix4(sunViewInverse.copy(sunView).transpose());
+      centre.x = Math.round(centre.x / texel) * texel;
+      centre.y = Math.round(centre.y / texel) * texel;
+      centre.applyMatrix4(sunView);
+    }
+    light.position.copy(centre).addScaledVector(direction, SUN_DISTANCE);
+  }
+
+  // Materials are shared between boxes that name the same one or the same colour
+  materialFor(box) {
+    const key = materialKey(box);
+    if (!this.materials.has(key)) {
+      const spec = box.material
+        ? this.materialSpecs[box.material]
+        : { ...DEFAULT_MATERIAL, color: box.color || DEFAULT_MATERIAL.color };
+      this.materials.set(key, createMaterial(spec));
+    }
+    return this.materials.get(key);
+  }
+
+  get meshes() {
+    return [...this.boxes.values()].map(entry => entry.mesh);
+  }
+
+  addBox(box) {
+    const id = box.id || `box-${this.nextBoxId++}`;
+    if (this.boxes.has(id)) this.removeBox(id);
+
+    const stored = { ...box, id };
+    const { mesh, collider } = createLevelBox(stored, this.materialFor(stored));
+    mesh.userData.levelBoxId = id;
+    if (collider) this.collisionWorld.add(collider);
+
+    const key = materialKey(stored);
+    this.boxes.set(id, { box: stored, mesh, collider, materialKey: key });
+    this.changedBatch(key);
+    this.version++;
+    return stored;
+  }
+
+  // Apply a partial change (size, position, color, material, collider)
+  updateBox(id, changes) {
+    const entry = this.boxes.get(id);
+    if (!entry) return null;
+    const box = mergeBoxChanges(entry.box, changes);
+    // Batch the remove and add so the affected batches are rebuilt once
+    const loading = this.loading;
+    this.loading = true;
+    this.removeBox(id);
+    const stored = this.addBox(box);
+    this.loading = loading;
+    if (!loading) this.updateBatches();
+    return stored;
+  }
+
+  removeBox(id) {
+    const entry = this.boxes.get(id);
+    if (!entry) return;
+    if (entry.collider) this.collisionWorld.remove(entry.collider);
+    this.boxes.delete(id);
+    this.changedBatch(entry.materialKey);
+    this.version++;
+  }
+
+  changedBatch(key) {
+    this.dirtyBatches.add(key);
+    if (!this.loading) this.updateBatches();
+  }
+
+  // Redraw the batches whose boxes changed. An InstancedMesh can't grow, so
+  // each one is replaced by a new one with the right number of instances.
+  updateBatches() {
+    this.dirtyBatches.forEach(key => {
+      const old = this.batches.get(key);
+      if (old) {
+        this.scene.remove(old);
+        old.dispose();
+        this.batches.delete(key);
+      }
+
+      const entries = [...this.boxes.values()].filter(entry => entry.materialKey === key);
+      if (entries.length === 0) {
+        this.releaseMaterial(key);
+        return;
+      }
+
+      const batch = new THREE.InstancedMesh(UNIT_BOX, this.materials.get(key), entries.length);
+      entries.forEach((entry, i) => batch.setMatrixAt(i, entry.mesh.matrixWorld));
+      batch.castShadow = true;
+      batch.receiveShadow = true;
+      // Cull by the bounds of all the instances, not the unit cube
+      batch.computeBoundingSphere();
+      this.scene.add(batch);
+      this.batches.set(key, batch);
+    });
+    this.dirtyBatches.clear();
+  }
+
+  // Free a material no box uses any more, unless a platform still does
+  releaseMaterial(key) {
+    const material = this.materials.get(key);
+    if (!material) return;
+    if (this.platforms && this.platforms.entries.some(entry => materialKey(entry.platform) === key)) return;
+    material.dispose();
+    this.materials.delete(key);
+  }
+
+  // Find the box a mesh belongs to
+  getBoxForMesh(mesh) {
+    const entry = this.boxes.get(mesh.userData.levelBoxId);
+    return entry ? entry.box : null;
+  }
+
+  // Level data for the current state, in the file format.
+  // Ids are only needed when syncing with other clients.
+  toLevel(includeIds = false) {
+    return {
+      ...this.level,
+      materials: this.materialSpecs,
+      boxes: [...this.boxes.values()].map(({ box }) => {
+        if (includeIds) return { ...box };
+        const { id, ...data } = box;
+        return data;
+      })
+    };
+  }
+}
+
+// A box with a partial change applied (size, position, color, material,
+// collider). A new colour replaces a named material.
+export function mergeBoxChanges(box, changes) {
+  const merged = { ...box, ...changes, id: box.id };
+  if (changes.color !== undefined && changes.material === undefined) {
+    delete merged.material;
+  }
+  return merged;
+}
+
+function materialKey(box) {
+  return box.material ? `material:${box.material}` : `color:${box.color || DEFAULT_MATERIAL.color}`;
+}
+
+// Add a validated level to the scene
+export function buildLevel(scene, level) {
+  return new LevelWorld(scene, level);
+}
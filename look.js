@@ -0,0 +1,141 @@
+import * as THREE from "three";
+
+// Camera orientation shared by every look input (mouse, touch, gamepad):
+// yaw around the world up axis and pitch clamped short of straight up/down.
+const MAX_PITCH = Math.PI / 2 - 0.01;
+
+export class LookOrientation {
+  constructor(camera) {
+    this.camera = camera;
+    const euler = new THREE.Euler().setFromQuaternion(camera.quaternion, "YXZ");
+    this.yaw = euler.y;
+    this.pitch = euler.x;
+    this.euler = new THREE.Euler(0, 0, 0, "YXZ");
+    this.listeners = new Set();
+  }
+
+  // Called with the orientation after every change; returns unsubscribe
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  // Turn by the given angles in radians; positive yaw turns left, positive pitch looks up
+  rotate(deltaYaw, deltaPitch) {
+    if (deltaYaw === 0 && deltaPitch === 0) return;
+    this.set(this.yaw + deltaYaw, this.pitch + deltaPitch);
+  }
+
+  set(yaw, pitch) {
+    this.yaw = yaw;
+    this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch));
+    this.euler.set(this.pitch, this.yaw, 0);
+    this.camera.quaternion.setFromEuler(this.euler);
+    this.listeners.forEach(callback => callback(this));
+  }
+}
+
+// Desktop mouse look with pointer lock
+export class MouseLookController {
+  constructor(orientation, domElement, options = {}) {
+    this.orientation = orientation;
+    this.domElement = domElement;
+    // Radians per pixel of mouse movement
+    this.sensitivity = options.sensitivity || 0.002;
+    // Moving the mouse up looks down
+    this.invertY = Boolean(options.invertY);
+    this.isLocked = false;
+    this.lockListeners = new Set();
+
+    document.addEventListener("mousemove", (e) => {
+      if (!this.isLocked) return;
+      const pitch = -e.movementY * this.sensitivity;
+      this.orientation.rotate(-e.movementX * this.sensitivity, this.invertY ? -pitch : pitch);
+    });
+
+    document.addEventListener("pointerlockchange", () => {
+      this.isLocked = document.pointerLockElement === this.domElement;
+      this.lockListeners.forEach(callback => callback(this.isLocked));
+    });
+  }
+
+  lock() {
+    this.domElement.requestPointerLock();
+  }
+
+  unlock() {
+    document.exitPointerLock();
+  }
+
+  // Called with true on lock and false on unlock; returns unsubscribe
+  onLockChange(callback) {
+    this.lockListeners.add(callback);
+    return () => this.lockListeners.delete(callback);
+  }
+}
+
+// Elements whose touches belong to other controls
+const TOUCH_IGNORE_SELECTOR = "#joystick-container, #online-users, .minimap, #jump-button, #chat-button, #camera-button, #profile-button, .profile-panel, .replay-panel, .replay-bar, .settings-panel, #settings-button, .sound-controls, .chat, .editor-panel, input, button";
+
+// Mobile look: drag anywhere on the right half of the screen. Each touch is
+// tracked by its identifier, so the joystick and buttons can be used at the
+// same time with other fingers.
+export class TouchLookController {
+  constructor(orientation, options = {}) {
+    this.orientation = orientation;
+    // Radians per pixel of finger movement
+    this.sensitivity = options.sensitivity || 0.005;
+    // Dragging up looks down
+    this.invertY = Boolean(options.invertY);
+    this.touchId = null;
+    this.lastX = 0;
+    this.lastY = 0;
+
+    document.addEventListener("touchstart", (e) => this.onTouchStart(e), { passive: false });
+    document.addEventListener("touchmove", (e) => this.onTouchMove(e), { passive: false });
+    document.addEventListener("touchend", (e) => this.onTouchEnd(e));
+    document.addEventListener("touchcancel", (e) => this.onTouchEnd(e));
+  }
+
+  onTouchStart(e) {
+    if (this.touchId !== null) return;
+
+    for (const touch of e.changedTouches) {
+      const onRightHalf = touch.clientX > window.innerWidth / 2;
+      const target = touch.target instanceof Element ? touch.target : null;
+      if (!onRightHalf || (target && target.closest(TOUCH_IGNORE_SELECTOR))) continue;
+
+      this.touchId = touch.identifier;
+      this.lastX = touch.clientX;
+      this.lastY = touch.clientY;
+      e.preventDefault();
+      return;
+    }
+  }
+
+  onTouchMove(e) {
+    if (this.touchId === null) return;
+
+    for (const touch of e.changedTouches) {
+      if (touch.identifier !== this.touchId) continue;
+
+      const dx = touch.clientX - this.lastX;
+      const dy = touch.clientY - this.lastY;
+      this.lastX = touch.clientX;
+      this.lastY = touch.clientY;
+      const pitch = -dy * this.sensitivity;
+      this.orientation.rotate(-dx * this.sensitivity, this.invertY ? -pitch : pitch);
+      e.preventDefault();
+      return;
+    }
+  }
+
+  onTouchEnd(e) {
+    for (const touch of e.changedTouches) {
+      if (touch.identifier === this.touchId) {
+        this.touchId = null;
+        return;
+      }
+    }
+  }
+}
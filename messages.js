@@ -0,0 +1,40 @@
+// Routes broadcast messages to handlers by their `type` field, so several
+// subsystems can share one transport.
+export class MessageBus {
+  constructor(transport) {
+    this.transport = transport;
+    this.handlers = new Map();
+
+    this.transport.onMessage((data) => {
+      this.dispatch(data);
+    });
+  }
+
+  // Register a handler for one message type; returns a function that removes it
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type).delete(handler);
+  }
+
+  send(type, payload = {}) {
+    this.transport.send({ ...payload, type });
+  }
+
+  dispatch(data) {
+    if (!data || typeof data.type !== "string") return;
+
+    const handlers = this.handlers.get(data.type);
+    if (!handlers) return;
+
+    handlers.forEach(handler => {
+      try {
+        handler(data, data.clientId);
+      } catch (error) {
+        console.log(`Error handling "${data.type}" message:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,184 @@
+import { safeLocalStorage } from "./storage.js";
+
+// Minimap overlay drawn on a 2D canvas: the level's blocks and barriers seen
+// from above, a dot per player in their colour and an arrow for us. North-up
+// shows the whole level; rotating keeps our heading pointing up and centres
+// the map on us.
+
+export const MINIMAP_MODES = ["northUp", "rotate", "hidden"];
+
+const SIZE = 180; // CSS pixels
+const MOBILE_SIZE = 110;
+const PADDING = 6;
+const DOT_RADIUS = 3.5;
+const ARROW_SIZE = 7;
+
+const STORAGE_KEY = "fpp.minimap";
+
+export class Minimap {
+  // options: { localId, getPlayerObjects(), getLocalView() -> { x, z, yaw }, input }
+  constructor(world, options = {}) {
+    this.world = world;
+    this.localId = options.localId;
+    this.getPlayerObjects = options.getPlayerObjects || (() => new Map());
+    this.getLocalView = options.getLocalView || (() => null);
+    this.storage = safeLocalStorage();
+
+    this.mode = this.loadMode();
+    this.levelVersion = -1;
+
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "minimap";
+    this.canvas.title = "Click to switch between north-up and rotating";
+    this.context = this.canvas.getContext("2d");
+    document.body.appendChild(this.canvas);
+
+    // The level is drawn once into its own canvas and redrawn when it changes
+    this.levelCanvas = document.createElement("canvas");
+
+    this.canvas.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.setMode(this.mode === "northUp" ? "rotate" : "northUp");
+    });
+
+    if (options.input) {
+      options.input.registerAction("toggleMinimap", ["KeyG"], "Minimap mode");
+      options.input.onAction("toggleMinimap", () => this.nextMode());
+    }
+
+    this.resize();
+    window.addEventListener("resize", () => this.resize());
+  }
+
+  loadMode() {
+    const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+    return MINIMAP_MODES.includes(saved) ? saved : "northUp";
+  }
+
+  setMode(mode) {
+    if (!MINIMAP_MODES.includes(mode)) return;
+    this.mode = mode;
+    this.canvas.style.display = mode === "hidden" ? "none" : "block";
+    if (this.storage) {
+      try {
+        this.storage.setItem(STORAGE_KEY, mode);
+      } catch (error) {
+        console.log("Could not save minimap mode:", error.message);
+      }
+    }
+  }
+
+  // North-up -> rotating -> hidden
+  nextMode() {
+    const index = MINIMAP_MODES.indexOf(this.mode);
+    this.setMode(MINIMAP_MODES[(index + 1) % MINIMAP_MODES.length]);
+  }
+
+  resize() {
+    this.size = window.matchMedia("(max-width: 768px)").matches ? MOBILE_SIZE : SIZE;
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.canvas.width = this.size * this.pixelRatio;
+    this.canvas.height = this.size * this.pixelRatio;
+    this.canvas.style.width = `${this.size}px`;
+    this.canvas.style.height = `${this.size}px`;
+    this.canvas.style.display = this.mode === "hidden" ? "none" : "block";
+    this.levelVersion = -1;
+  }
+
+  // Pixels per world unit so the whole level fits inside the padding
+  get scale() {
+    const { minX, maxX, minZ, maxZ } = this.world.bounds;
+    return (this.size - PADDING * 2) / Math.max(maxX - minX, maxZ - minZ, 1);
+  }
+
+  // Draw the blocks and barriers, top down, with north (-z) up
+  drawLevel() {
+    const { minX, maxX, minZ, maxZ } = this.world.bounds;
+    const scale = this.scale * this.pixelRatio;
+    const canvas = this.levelCanvas;
+    canvas.width = Math.ceil((maxX - minX) * scale);
+    canvas.height = Math.ceil((maxZ - minZ) * scale);
+
+    const context = canvas.getContext("2d");
+    context.fillStyle = "rgba(40, 60, 40, 0.6)";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    this.world.meshes.forEach(mesh => {
+      if (!mesh.userData.isBlock && !mesh.userData.isBarrier) return;
+      // Level boxes are unit cubes scaled to size
+      const { x: width, z: depth } = mesh.scale;
+      const x = (mesh.position.x - width / 2 - minX) * scale;
+      const z = (mesh.position.z - depth / 2 - minZ) * scale;
+
+      // Blocks in their own colour, barriers as plain walls
+      context.fillStyle = mesh.userData.isBlock ? `#${mesh.material.color.getHexString()}` : "rgba(230, 230, 230, 0.9)";
+      context.fillRect(x, z, Math.max(1, width * scale), Math.max(1, depth * scale));
+    });
+
+    this.levelVersion = this.world.version;
+  }
+
+  // Call once per frame
+  update() {
+    if (this.mode === "hidden") return;
+    if (this.levelVersion !== this.world.version) this.drawLevel();
+
+    const context = this.context;
+    const size = this.size;
+    const scale = this.scale;
+    const { minX, maxX, minZ, maxZ } = this.world.bounds;
+    const view = this.getLocalView();
+    const rotating = this.mode === "rotate" && view;
+
+    context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    context.clearRect(0, 0, size, size);
+    context.save();
+
+    if (rotating) {
+      // Round radar centred on us, turned so our heading points up
+      context.beginPath();
+      context.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2);
+      context.clip();
+      context.translate(size / 2, size / 2);
+      context.rotate(view.yaw);
+      context.translate(-view.x * scale, -view.z * scale);
+    } else {
+      // Whole level centred in the square
+      context.translate(size / 2, size / 2);
+      context.translate(-((minX + maxX) / 2) * scale, -((minZ + maxZ) / 2) * scale);
+    }
+
+    // From here on one unit is one world unit, at (x, z)
+    context.drawImage(this.levelCanvas, minX * scale, minZ * scale, (maxX - minX) * scale, (maxZ - minZ) * scale);
+
+    this.getPlayerObjects().forEach((playerObj, id) => {
+      if (id === this.localId || !playerObj.visible) return;
+      const avatar = playerObj.userData.avatar;
+      context.fillStyle = (avatar && avatar.color) || "#FFFFFF";
+      context.strokeStyle = "rgba(0, 0, 0, 0.8)";
+      context.lineWidth = 1;
+      context.beginPath();
+      context.arc(playerObj.position.x * scale, playerObj.position.z * scale, DOT_RADIUS, 0, Math.PI * 2);
+      context.fill();
+      context.stroke();
+    });
+
+    if (view) {
+      // Arrow pointing along our heading
+      context.translate(view.x * scale, view.z * scale);
+      context.rotate(-view.yaw);
+      context.fillStyle = "#FFFFFF";
+      context.strokeStyle = "rgba(0, 0, 0, 0.8)";
+      context.beginPath();
+      context.moveTo(0, -ARROW_SIZE);
+      context.lineTo(ARROW_SIZE * 0.7, ARROW_SIZE * 0.7);
+      context.lineTo(0, ARROW_SIZE * 0.3);
+      context.lineTo(-ARROW_SIZE * 0.7, ARROW_SIZE * 0.7);
+      context.closePath();
+      context.fill();
+      context.stroke();
+    }
+
+    context.restore();
+  }
+}
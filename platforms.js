@@ -0,0 +1,247 @@
+// Kinematic platforms. Their pose is a pure function of the room time (see
+// clock.js), so every client sees them in the same place without sending
+// anything. Players standing on one ride along, turning with it, and players
+// in its way are pushed. DOM-free like player-core.js; level.js creates the
+// meshes.
+import { createBox } from "./collision.js";
+import { FOOT_OFFSET, PLAYER_RADIUS, MOVEMENT_STATES } from "./player-core.js";
+
+// Feet this close above a platform's top count as standing on it
+const STAND_TOLERANCE = 0.05;
+// A platform moving further than this in one step jumped (the room clock was
+// corrected, or the level was loaded) and doesn't carry or push anyone
+const MAX_STEP_DISTANCE = 1;
+const MAX_STEP_ANGLE = 0.5;
+// Gap left between a pushed player and the platform
+const PUSH_GAP = 0.002;
+
+const DEGREES = Math.PI / 180;
+
+// Legs of a waypoint path: back to the start when looping, else back and forth
+function pathLegs(platform) {
+  const points = platform.path;
+  const order = platform.loop ? [...points, points[0]] : [...points, ...points.slice(0, -1).reverse()];
+  const legs = [];
+  for (let i = 0; i < order.length - 1; i++) {
+    const [from, to] = [order[i], order[i + 1]];
+    const distance = Math.hypot(to[0] - from[0], to[1] - from[1], to[2] - from[2]);
+    legs.push({ from, to, duration: distance / platform.speed });
+  }
+  return legs;
+}
+
+function positionAt(platform, legs, time) {
+  if (legs.length === 0) return platform.position;
+
+  const pause = platform.pause || 0;
+  const cycle = legs.reduce((total, leg) => total + leg.duration + pause, 0);
+  if (cycle <= 0) return legs[0].from;
+
+  let t = mod(time, cycle);
+  for (const leg of legs) {
+    if (t < leg.duration) {
+      const f = t / leg.duration;
+      return leg.from.map((value, i) => value + (leg.to[i] - value) * f);
+    }
+    t -= leg.duration;
+    if (t < pause) return leg.to;
+    t -= pause;
+  }
+  return legs[0].from;
+}
+
+// Yaw in radians: a steady spin, or turns of `step` degrees with a pause after each
+function yawAt(rotate, time) {
+  if (!rotate) return 0;
+  const speed = rotate.speed * DEGREES;
+  if (!rotate.step) return mod(speed * time, Math.PI * 2);
+
+  const step = rotate.step * DEGREES;
+  const turnTime = step / speed;
+  const cycle = turnTime + (rotate.pause || 0);
+  const turns = Math.floor(time / cycle);
+  return mod(turns * step + Math.min(time - turns * cycle, turnTime) * speed, Math.PI * 2);
+}
+
+// Pose of a platform from the level file at `time` seconds of room time
+export function platformPose(platform, time, legs = platform.path ? pathLegs(platform) : []) {
+  const t = time + (platform.offset || 0);
+  const [x, y, z] = positionAt(platform, legs, t);
+  return { x, y, z, yaw: yawAt(platform.rotate, t) };
+}
+
+export class PlatformSystem {
+  // platforms: validated entries of the level's "platforms" array
+  constructor(collisionWorld, platforms = []) {
+    this.collisionWorld = collisionWorld;
+    this.time = null;
+
+    this.entries = platforms.map(platform => {
+      const [width, height, depth] = platform.size;
+      // Rotating platforms are square (see level.js). The collider stays axis
+      // aligned, so it only fits them at multiples of 90 degrees, not mid-turn
+      const half = { x: width / 2, y: height / 2, z: (platform.rotate ? width : depth) / 2 };
+      const pose = platformPose(platform, 0);
+      const entry = {
+        platform,
+        legs: platform.path ? pathLegs(platform) : [],
+        half,
+        pose,
+        previousPose: pose,
+        previousBox: null,
+        delta: { x: 0, y: 0, z: 0, yaw: 0 },
+        collider: createBox(0, 0, 0, 0, 0, 0, { platform }),
+        // Mesh to move, set by level.js
+        object: null
+      };
+      this.placeCollider(entry);
+      collisionWorld.add(entry.collider);
+      return entry;
+    });
+  }
+
+  placeCollider(entry) {
+    const { collider, half, pose } = entry;
+    ["x", "y", "z"].forEach(axis => {
+      collider.min[axis] = pose[axis] - half[axis];
+      collider.max[axis] = pose[axis] + half[axis];
+    });
+  }
+
+  // Move every platform to `time` seconds of room time; call once per physics step
+  update(time) {
+    const first = this.time === null;
+    this.time = time;
+
+    this.entries.forEach(entry => {
+      entry.previousPose = entry.pose;
+      entry.previousBox = createBox(
+        entry.collider.min.x, entry.collider.min.y, entry.collider.min.z,
+        entry.collider.max.x, entry.collider.max.y, entry.collider.max.z
+      );
+      entry.pose = platformPose(entry.platform, time, entry.legs);
+
+      const delta = {
+        x: entry.pose.x - entry.previousPose.x,
+        y: entry.pose.y - entry.previousPose.y,
+        z: entry.pose.z - entry.previousPose.z,
+        yaw: wrapAngle(entry.pose.yaw - entry.previousPose.yaw)
+      };
+      const jumped = first || Math.hypot(delta.x, delta.y, delta.z) > MAX_STEP_DISTANCE ||
+        Math.abs(delta.yaw) > MAX_STEP_ANGLE;
+      entry.delta = jumped ? { x: 0, y: 0, z: 0, yaw: 0 } : delta;
+
+      // The broadphase files boxes by position, so moving one means re-adding it
+      this.collisionWorld.remove(entry.collider);
+      this.placeCollider(entry);
+      this.collisionWorld.add(entry.collider);
+    });
+  }
+
+  // Carry a player (a player-core.js state) standing on a platform and push
+  // them out of platforms that moved into them. Returns the new state and the
+  // yaw to add to their view; the same state object if nothing happened.
+  carry(state) {
+    const collisionWorld = this.collisionWorld;
+    const shape = { radius: PLAYER_RADIUS, height: MOVEMENT_STATES[state.movement || "walk"].height };
+    let feet = { x: state.x, y: state.y - FOOT_OFFSET, z: state.z };
+    let yaw = 0;
+    let moved = false;
+
+    const moveBy = (delta) => {
+      const result = collisionWorld.move(feet, delta, shape);
+      feet = { x: result.x, y: result.y, z: result.z };
+      moved = true;
+    };
+
+    // Ride the platform under our feet, turning about its centre
+    const ridden = state.onGround ? this.entries.find(entry => isStandingOn(feet, entry.previousBox)) : null;
+    if (ridden && isMoving(ridden.delta)) {
+      const { previousPose, pose, delta } = ridden;
+      const cos = Math.cos(delta.yaw);
+      const sin = Math.sin(delta.yaw);
+      const offsetX = feet.x - previousPose.x;
+      const offsetZ = feet.z - previousPose.z;
+      moveBy({
+        x: pose.x + offsetX * cos + offsetZ * sin - feet.x,
+        y: delta.y,
+        z: pose.z - offsetX * sin + offsetZ * cos - feet.z
+      });
+      yaw = delta.yaw;
+    }
+
+    // Pushed along the shortest way out in the direction the platform moved
+    this.entries.forEach(entry => {
+      if (entry === ridden) return;
+      const box = createBox(
+        feet.x - shape.radius, feet.y, feet.z - shape.radius,
+        feet.x + shape.radius, feet.y + shape.height, feet.z + shape.radius
+      );
+      if (!overlapsBox(box, entry.collider)) return;
+
+      let push = null;
+      ["x", "y", "z"].forEach(axis => {
+        const d = entry.delta[axis];
+        if (d === 0) return;
+        const distance = d > 0
+          ? entry.collider.max[axis] - box.min[axis] + PUSH_GAP
+          : entry.collider.min[axis] - box.max[axis] - PUSH_GAP;
+        if (!push || Math.abs(distance) < Math.abs(push.distance)) push = { axis, distance };
+      });
+      if (push) {
+        moveBy({ x: 0, y: 0, z: 0, [push.axis]: push.distance });
+      }
+    });
+
+    if (!moved) return { state, yaw: 0 };
+    return {
+      state: { ...state, x: feet.x, y: feet.y + FOOT_OFFSET, z: feet.z },
+      yaw
+    };
+  }
+
+  // Place the meshes between the last two steps, like the local player.
+  // alpha is the fraction of a timestep left in the accumulator (0..1)
+  render(alpha = 1) {
+    this.entries.forEach(({ object, previousPose, pose }) => {
+      if (!object) return;
+      object.position.set(
+        previousPose.x + (pose.x - previousPose.x) * alpha,
+        previousPose.y + (pose.y - previousPose.y) * alpha,
+        previousPose.z + (pose.z - previousPose.z) * alpha
+      );
+      object.rotation.y = previousPose.yaw + wrapAngle(pose.yaw - previousPose.yaw) * alpha;
+    });
+  }
+
+  // Take the colliders out of the collision world
+  dispose() {
+    this.entries.forEach(entry => this.collisionWorld.remove(entry.collider));
+    this.entries = [];
+  }
+}
+
+function isStandingOn(feet, box) {
+  if (!box) return false;
+  return Math.abs(feet.y - box.max.y) <= STAND_TOLERANCE &&
+    feet.x + PLAYER_RADIUS > box.min.x && feet.x - PLAYER_RADIUS < box.max.x &&
+    feet.z + PLAYER_RADIUS > box.min.z && feet.z - PLAYER_RADIUS < box.max.z;
+}
+
+function isMoving(delta) {
+  return delta.x !== 0 || delta.y !== 0 || delta.z !== 0 || delta.yaw !== 0;
+}
+
+function overlapsBox(a, b) {
+  return a.min.x < b.max.x && a.max.x > b.min.x &&
+    a.min.y < b.max.y && a.max.y > b.min.y &&
+    a.min.z < b.max.z && a.max.z > b.min.z;
+}
+
+function mod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+function wrapAngle(angle) {
+  return mod(angle + Math.PI, Math.PI * 2) - Math.PI;
+}
@@ -0,0 +1,182 @@
+// DOM-free player simulation. Given the previous state, an input state and the
+// level's CollisionWorld it returns the next state, so it can be stepped in
+// Node without a renderer, a document or audio. controls.js wraps it with the
+// browser input layers.
+
+// Movement constants (units per second / units per second squared)
+export const SPEED = 4.8;
+export const GRAVITY = 36;
+export const JUMP_FORCE = 15;
+
+// Collision shape. Player y is the body centre used by avatars, half a unit above the feet
+export const PLAYER_RADIUS = 0.3;
+export const PLAYER_HEIGHT = 1.8;
+export const STEP_HEIGHT = 0.35;
+export const FOOT_OFFSET = 0.5;
+// Camera height above the player's y when standing
+export const EYE_OFFSET = 1.2;
+
+// Movement states. Speeds in units per second, acceleration in units per
+// second squared, height is the collider height and eyeHeight the camera
+// offset above the player's y.
+export const MOVEMENT_STATES = {
+  walk: { speed: SPEED, acceleration: 40, height: PLAYER_HEIGHT, eyeHeight: EYE_OFFSET },
+  sprint: { speed: 7.5, acceleration: 30, height: PLAYER_HEIGHT, eyeHeight: EYE_OFFSET },
+  crouch: { speed: 2.4, acceleration: 30, height: 1.2, eyeHeight: 0.6 },
+  // Sliding keeps its momentum and slows down by `friction`
+  slide: { speed: 0, acceleration: 0, friction: 7, height: 1.0, eyeHeight: 0.4 }
+};
+
+// Sliding starts with a burst on top of the sprint speed and ends below this speed
+const SLIDE_BOOST = 1.3;
+const SLIDE_MIN_SPEED = 3;
+// Fraction of the ground acceleration available in the air
+const AIR_CONTROL = 0.3;
+
+// Physics runs at a fixed rate regardless of the display refresh rate
+export const FIXED_TIMESTEP = 1 / 60;
+// Clamp long frames (tab switches, breakpoints) so the simulation can catch up
+export const MAX_FRAME_TIME = 0.25;
+
+// Inputs for one step:
+//   forward, right  -1..1, relative to the view (analog values allowed)
+//   yaw             view heading in radians, 0 looks down -z
+//   jump            true while a jump is requested
+//   sprint, crouch  true while held
+export function createInputState() {
+  return { forward: 0, right: 0, yaw: 0, jump: false, sprint: false, crouch: false };
+}
+
+export function createPlayerState(spawnPoint = { x: 0, y: FOOT_OFFSET, z: 0 }) {
+  return {
+    x: spawnPoint.x,
+    y: spawnPoint.y,
+    z: spawnPoint.z,
+    velocity: { x: 0, y: 0, z: 0 },
+    onGround: false,
+    movement: "walk"
+  };
+}
+
+// Whether a collider of the given height fits at the player's position
+export function hasHeadroom(state, collisionWorld, height = PLAYER_HEIGHT) {
+  const feet = state.y - FOOT_OFFSET;
+  return !collisionWorld.intersects({
+    min: { x: state.x - PLAYER_RADIUS, y: feet, z: state.z - PLAYER_RADIUS },
+    max: { x: state.x + PLAYER_RADIUS, y: feet + height, z: state.z + PLAYER_RADIUS }
+  });
+}
+
+// Pick the movement state for this step
+function nextMovement(state, input, collisionWorld, horizontalSpeed) {
+  const current = state.movement || "walk";
+  const crouched = current === "crouch" || current === "slide";
+  // Standing up needs room above the crouched collider
+  const canStand = !crouched || hasHeadroom(state, collisionWorld);
+
+  if (current === "slide") {
+    if (state.onGround && horizontalSpeed >= SLIDE_MIN_SPEED) return "slide";
+    return input.crouch || !canStand ? "crouch" : "walk";
+  }
+
+  if (input.crouch) {
+    if (current === "sprint" && state.onGround && horizontalSpeed > SPEED) return "slide";
+    return "crouch";
+  }
+
+  if (!canStand) return "crouch";
+  return input.sprint && input.forward > 0 ? "sprint" : "walk";
+}
+
+// Move value towards target by at most maxDelta
+function approach(value, target, maxDelta) {
+  if (value < target) return Math.min(value + maxDelta, target);
+  return Math.max(value - maxDelta, target);
+}
+
+// Advance the player by dt seconds. Returns a new state plus the events that
+// happened during the step ({ jumped, landed, movementChanged }).
+export function stepPlayer(state, input, collisionWorld, dt = FIXED_TIMESTEP) {
+  // Clamp diagonal and analog input to unit length
+  let forward = input.forward || 0;
+  let right = input.right || 0;
+  const length = Math.hypot(forward, right);
+  if (length > 1) {
+    forward /= length;
+    right /= length;
+  }
+
+  const horizontalSpeed = Math.hypot(state.velocity.x, state.velocity.z);
+  const movement = nextMovement(state, { ...input, forward }, collisionWorld, horizontalSpeed);
+  const settings = MOVEMENT_STATES[movement];
+
+  const velocity = { ...state.velocity };
+
+  if (movement === "slide") {
+    if (state.movement !== "slide" && horizontalSpeed > 0) {
+      // Burst of speed as the slide starts
+      velocity.x *= SLIDE_BOOST;
+      velocity.z *= SLIDE_BOOST;
+    }
+    // Keep the direction, lose speed to friction
+    const speed = Math.hypot(velocity.x, velocity.z);
+    const slowed = Math.max(0, speed - settings.friction * dt);
+    if (speed > 0) {
+      velocity.x *= slowed / speed;
+      velocity.z *= slowed / speed;
+    }
+  } else {
+    // View-relative directions on the xz plane
+    const yaw = input.yaw || 0;
+    const forwardX = -Math.sin(yaw);
+    const forwardZ = -Math.cos(yaw);
+    const rightX = -forwardZ;
+    const rightZ = forwardX;
+
+    const targetX = (forwardX * forward + rightX * right) * settings.speed;
+    const targetZ = (forwardZ * forward + rightZ * right) * settings.speed;
+    const acceleration = settings.acceleration * (state.onGround ? 1 : AIR_CONTROL) * dt;
+    velocity.x = approach(velocity.x, targetX, acceleration);
+    velocity.z = approach(velocity.z, targetZ, acceleration);
+  }
+
+  let jumped = false;
+  if (input.jump && state.onGround) {
+    velocity.y = JUMP_FORCE;
+    jumped = true;
+  }
+
+  // Apply gravity and vertical velocity
+  velocity.y -= GRAVITY * dt;
+
+  // Sweep the player box through the level, one axis at a time
+  const result = collisionWorld.move(
+    { x: state.x, y: state.y - FOOT_OFFSET, z: state.z },
+    { x: velocity.x * dt, y: velocity.y * dt, z: velocity.z * dt },
+    { radius: PLAYER_RADIUS, height: settings.height, stepHeight: STEP_HEIGHT },
+    state.onGround && !jumped
+  );
+
+  if (result.onGround || result.hitCeiling) {
+    // Landed, or bumped a ceiling and starts falling
+    velocity.y = 0;
+  }
+  if (result.blockedX) velocity.x = 0;
+  if (result.blockedZ) velocity.z = 0;
+
+  return {
+    state: {
+      x: result.x,
+      y: result.y + FOOT_OFFSET,
+      z: result.z,
+      velocity,
+      onGround: result.onGround,
+      movement
+    },
+    events: {
+      jumped,
+      landed: result.onGround && !state.onGround,
+      movementChanged: movement !== state.movement
+    }
+  };
+}
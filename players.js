@@ -0,0 +1,180 @@
+// Live list of the players in the room with their colour, name and latency,
+// plus toasts when someone joins or leaves.
+import { sanitizeName } from "./profile.js";
+
+// How often each client sends a "ping" (ms)
+const PING_INTERVAL = 3000;
+// Weight of a new round-trip sample in the smoothed latency
+const LATENCY_SMOOTHING = 0.3;
+const TOAST_DURATION = 4000; // ms
+
+// Latency is measured without a reply message per ping: every "ping" also
+// echoes the pings received from others since the last one, with how long they
+// were held, so the room sends one message per client per interval.
+export class PlayerList {
+  // options: { localId, onSelect(id) }
+  constructor(transport, bus, options = {}) {
+    this.transport = transport;
+    this.bus = bus;
+    this.localId = options.localId;
+    this.onSelect = options.onSelect || (() => {});
+
+    this.latencies = new Map();
+    // Pings to echo with our next one: { [clientId]: { sent, received } }
+    this.pendingEchoes = {};
+    this.knownNames = new Map();
+    // Ids whose join has been shown (or who were here before us)
+    this.announced = new Set();
+    this.initialized = false;
+    this.renderKey = null;
+
+    this.element = document.querySelector("#online-users");
+    if (!this.element) {
+      this.element = document.createElement("div");
+      this.element.id = "online-users";
+      document.body.appendChild(this.element);
+    }
+    this.element.classList.add("online-users");
+    // Don't let clicks on the list lock the pointer
+    this.element.addEventListener("click", (e) => e.stopPropagation());
+
+    this.toasts = document.createElement("div");
+    this.toasts.className = "toasts";
+    document.body.appendChild(this.toasts);
+
+    this.bus.on("ping", (data, clientId) => this.handlePing(data, clientId));
+    this.transport.subscribePresence((presence) => this.handlePresence(presence));
+    this.handlePresence(this.transport.presence);
+
+    this.sendPing();
+    setInterval(() => this.sendPing(), PING_INTERVAL);
+  }
+
+  sendPing() {
+    const now = performance.now();
+    const echoes = {};
+    Object.keys(this.pendingEchoes).forEach(clientId => {
+      const { sent, received } = this.pendingEchoes[clientId];
+      echoes[clientId] = { sent, held: Math.round(now - received) };
+    });
+    this.pendingEchoes = {};
+
+    this.bus.send("ping", { sent: Math.round(now), echoes });
+  }
+
+  handlePing(data, clientId) {
+    if (!clientId || clientId === this.localId) return;
+    const now = performance.now();
+
+    if (typeof data.sent === "number") {
+      this.pendingEchoes[clientId] = { sent: data.sent, received: now };
+    }
+
+    // Our own ping coming back: round trip minus the time it was held
+    const echo = data.echoes && data.echoes[this.localId];
+    if (echo && typeof echo.sent === "number" && typeof echo.held === "number") {
+      const rtt = Math.max(0, now - echo.sent - echo.held);
+      const previous = this.latencies.get(clientId);
+      this.latencies.set(clientId, previous === undefined ? rtt : previous + (rtt - previous) * LATENCY_SMOOTHING);
+      this.render();
+    }
+  }
+
+  handlePresence(presence) {
+    const ids = Object.keys(presence || {});
+
+    // Toasts for changes after the first snapshot of the room. A join is
+    // shown once the newcomer's name has arrived.
+    ids.forEach(id => {
+      if (this.announced.has(id)) return;
+      if (!this.initialized || id === this.localId) {
+        this.announced.add(id);
+      } else if (presence[id] && sanitizeName(presence[id].name)) {
+        this.announced.add(id);
+        this.toast(`${nameOf(presence[id])} joined`);
+      }
+    });
+    this.knownNames.forEach((name, id) => {
+      if (id in presence) return;
+      if (this.announced.has(id)) this.toast(`${name} left`);
+      this.announced.delete(id);
+      this.latencies.delete(id);
+    });
+    this.initialized = true;
+
+    this.knownNames = new Map(ids.map(id => [id, nameOf(presence[id])]));
+    this.render();
+  }
+
+  render() {
+    const presence = this.transport.presence || {};
+    // Us first, then everyone else by name
+    const ids = Object.keys(presence).sort((a, b) => {
+      if (a === this.localId) return -1;
+      if (b === this.localId) return 1;
+      return nameOf(presence[a]).localeCompare(nameOf(presence[b]));
+    });
+
+    // Presence changes many times a second; only rebuild when the list changes
+    const key = JSON.stringify(ids.map(id => [
+      id,
+      nameOf(presence[id]),
+      presence[id] && presence[id].color,
+      this.latencies.has(id) ? Math.round(this.latencies.get(id)) : null
+    ]));
+    if (key === this.renderKey) return;
+    this.renderKey = key;
+
+    this.element.innerHTML = "";
+
+    const title = document.createElement("div");
+    title.className = "online-users-title";
+    title.textContent = `Players (${ids.length})`;
+    this.element.appendChild(title);
+
+    ids.forEach(id => {
+      const player = presence[id] || {};
+      const row = document.createElement("div");
+      row.className = "online-user";
+      if (id === this.localId) row.classList.add("online-user-local");
+
+      const swatch = document.createElement("span");
+      swatch.className = "online-user-swatch";
+      swatch.style.backgroundColor = player.color || "#FFFFFF";
+      row.appendChild(swatch);
+
+      const name = document.createElement("span");
+      name.className = "online-user-name";
+      name.textContent = id === this.localId ? `${nameOf(player)} (you)` : nameOf(player);
+      row.appendChild(name);
+
+      const latency = document.createElement("span");
+      latency.className = "online-user-latency";
+      if (id !== this.localId) {
+        const rtt = this.latencies.get(id);
+        latency.textContent = rtt === undefined ? "—" : `${Math.round(rtt)} ms`;
+      }
+      row.appendChild(latency);
+
+      if (id !== this.localId) {
+        // Click to follow them in spectator mode
+        row.title = "Click to spectate";
+        row.addEventListener("click", () => this.onSelect(id));
+      }
+
+      this.element.appendChild(row);
+    });
+  }
+
+  toast(text) {
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    toast.textContent = text;
+    this.toasts.appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+  }
+}
+
+function nameOf(presence) {
+  return (presence && sanitizeName(presence.name)) || "Unknown";
+}
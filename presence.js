@@ -0,0 +1,155 @@
+// Batches local presence changes and publishes them at a fixed tick rate.
+// Movement below the thresholds is held back until the player has been still
+// for settleTime, and values are quantized so the JSON payload stays short.
+const DEFAULT_OPTIONS = {
+  tickRate: 15, // messages per second at most
+  positionThreshold: 0.02, // units
+  rotationThreshold: 0.01, // radians
+  positionPrecision: 100, // 0.01 unit steps
+  rotationPrecision: 1000, // 0.001 quaternion component steps
+  settleTime: 200 // ms without movement before a move below the thresholds is sent
+};
+
+const POSITION_KEYS = ["x", "y", "z"];
+
+export class PresencePublisher {
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    // Values waiting to be sent, and the last values that were sent
+    this.pending = {};
+    this.sent = {};
+    this.lastSendTime = -Infinity;
+    // Last staged position and rotation, and when they last changed
+    this.lastPose = null;
+    this.lastMoveTime = -Infinity;
+
+    // Counters for the current one-second window and the last complete one
+    this.windowStart = 0;
+    this.windowMessages = 0;
+    this.windowBytes = 0;
+    this.stats = {
+      messagesPerSecond: 0,
+      bytesPerSecond: 0,
+      totalMessages: 0,
+      totalBytes: 0
+    };
+  }
+
+  // Stage presence values. Later calls in the same tick overwrite earlier ones,
+  // so rotation-only and movement updates end up in one message.
+  set(values) {
+    Object.assign(this.pending, values);
+  }
+
+  quantize(key, value) {
+    if (POSITION_KEYS.includes(key) && typeof value === "number") {
+      return Math.round(value * this.options.positionPrecision) / this.options.positionPrecision;
+    }
+    if (key === "quaternion" && Array.isArray(value)) {
+      return value.map(v => Math.round(v * this.options.rotationPrecision) / this.options.rotationPrecision);
+    }
+    return value;
+  }
+
+  // Collect the pending values that are worth sending. Once settled, any
+  // change that survives quantizing is worth it.
+  buildMessage(settled = false) {
+    const message = {};
+    const { positionThreshold, rotationThreshold } = this.options;
+
+    const moved = POSITION_KEYS.some(key =>
+      key in this.pending &&
+      (this.sent[key] === undefined || (settled
+        ? this.quantize(key, this.pending[key]) !== this.sent[key]
+        : Math.abs(this.pending[key] - this.sent[key]) >= positionThreshold))
+    );
+    if (moved) {
+      POSITION_KEYS.forEach(key => {
+        if (key in this.pending) message[key] = this.quantize(key, this.pending[key]);
+      });
+    }
+
+    if (this.pending.quaternion) {
+      const previous = this.sent.quaternion;
+      const quantized = this.quantize("quaternion", this.pending.quaternion);
+      if (!previous || (settled
+        ? quantized.some((v, i) => v !== previous[i])
+        : quaternionAngle(previous, this.pending.quaternion) >= rotationThreshold)) {
+        message.quaternion = quantized;
+      }
+    }
+
+    // Everything else (name, colour, state...) is sent whenever it changes
+    Object.keys(this.pending).forEach(key => {
+      if (POSITION_KEYS.includes(key) || key === "quaternion") return;
+      if (JSON.stringify(this.pending[key]) !== JSON.stringify(this.sent[key])) {
+        message[key] = this.pending[key];
+      }
+    });
+
+    return message;
+  }
+
+  send(message) {
+    const keys = Object.keys(message);
+    if (keys.length === 0) return false;
+
+    this.transport.updatePresence(message);
+
+    keys.forEach(key => {
+      this.sent[key] = message[key];
+      delete this.pending[key];
+    });
+
+    const bytes = JSON.stringify(message).length;
+    this.windowMessages++;
+    this.windowBytes += bytes;
+    this.stats.totalMessages++;
+    this.stats.totalBytes += bytes;
+    return true;
+  }
+
+  // Call once per frame; sends at most tickRate times per second
+  update(now = performance.now()) {
+    if (now - this.windowStart >= 1000) {
+      const elapsed = (now - this.windowStart) / 1000;
+      this.stats.messagesPerSecond = this.windowMessages / elapsed;
+      this.stats.bytesPerSecond = this.windowBytes / elapsed;
+      this.windowStart = now;
+      this.windowMessages = 0;
+      this.windowBytes = 0;
+    }
+
+    const latest = { ...this.sent, ...this.pending };
+    const pose = JSON.stringify([...POSITION_KEYS.map(key => latest[key]), latest.quaternion]);
+    if (pose !== this.lastPose) {
+      this.lastPose = pose;
+      this.lastMoveTime = now;
+    }
+
+    if (now - this.lastSendTime < 1000 / this.options.tickRate) return;
+
+    const settled = now - this.lastMoveTime >= this.options.settleTime;
+    if (this.send(this.buildMessage(settled))) {
+      this.lastSendTime = now;
+    }
+  }
+
+  // Send everything pending right away, ignoring tick rate and thresholds
+  flush() {
+    const message = {};
+    Object.keys(this.pending).forEach(key => {
+      message[key] = this.quantize(key, this.pending[key]);
+    });
+    this.send(message);
+    this.lastSendTime = performance.now();
+  }
+}
+
+// Angle in radians between two [x, y, z, w] quaternions
+function quaternionAngle(a, b) {
+  const dot = Math.abs(a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3]);
+  return 2 * Math.acos(Math.min(1, dot));
+}
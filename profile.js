@@ -0,0 +1,247 @@
+import { safeLocalStorage } from "./storage.js";
+
+// Player profile: display name, body colour, hat and eye style. Saved in
+// localStorage and shared through presence, so other clients draw us the way
+// we look here. The same screen is shown before joining and, with P, in game.
+
+export const HATS = ["none", "cap", "tophat", "beanie", "party"];
+export const EYE_STYLES = ["round", "wide", "sleepy", "dots"];
+export const MAX_NAME_LENGTH = 20;
+
+const HAT_LABELS = { none: "None", cap: "Cap", tophat: "Top hat", beanie: "Beanie", party: "Party hat" };
+const EYE_LABELS = { round: "Round", wide: "Wide", sleepy: "Sleepy", dots: "Dots" };
+
+const STORAGE_KEY = "fpp.profile";
+
+// Control characters, zero-width and bidi override characters
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+// Strip invisible characters, collapse whitespace and cut to MAX_NAME_LENGTH.
+// Returns "" when nothing is left.
+export function sanitizeName(name) {
+  return Array.from(String(name || "")
+    .replace(/\s+/g, " ")
+    .replace(UNSAFE_CHARACTERS, "")
+    .trim())
+    .slice(0, MAX_NAME_LENGTH)
+    .join("")
+    .trim();
+}
+
+// Hex colours from the picker and the hsl() colours generated for new players
+export function isProfileColor(color) {
+  return typeof color === "string" &&
+    (/^#[0-9a-f]{6}$/i.test(color) || /^hsl\(\d{1,3}, \d{1,3}%, \d{1,3}%\)$/.test(color));
+}
+
+// Look of an avatar from a (possibly remote, untrusted) profile or presence
+export function sanitizeAppearance(values = {}) {
+  return {
+    color: isProfileColor(values.color) ? values.color : "#FFFFFF",
+    hat: HATS.includes(values.hat) ? values.hat : "none",
+    eyes: EYE_STYLES.includes(values.eyes) ? values.eyes : "round"
+  };
+}
+
+// Random colour for players without a saved profile
+export function randomColor() {
+  const hue = Math.floor(Math.random() * 360);
+  const saturation = 70 + Math.floor(Math.random() * 30); // 70-100%
+  const lightness = 50 + Math.floor(Math.random() * 30); // 50-80%
+  return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+}
+
+export class ProfileScreen {
+  // defaults: { name, color } used when nothing is saved
+  // options: { palette, onChange(profile) } where onChange is called for changes made in game
+  constructor(defaults, options = {}) {
+    this.palette = options.palette || [];
+    this.onChange = options.onChange || (() => {});
+    this.storage = safeLocalStorage();
+    this.profile = this.load(defaults);
+    this.resolveJoin = null;
+
+    this.createPanel();
+  }
+
+  load(defaults) {
+    let saved = {};
+    if (this.storage) {
+      try {
+        saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || "{}") || {};
+      } catch (error) {
+        console.log("Ignoring saved profile:", error.message);
+      }
+    }
+    return {
+      name: sanitizeName(saved.name) || sanitizeName(defaults.name) || "Player",
+      ...sanitizeAppearance({ ...defaults, ...saved, color: isProfileColor(saved.color) ? saved.color : defaults.color })
+    };
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.profile));
+    } catch (error) {
+      console.log("Could not save profile:", error.message);
+    }
+  }
+
+  // Merge changes, keeping the last valid name while the field is empty
+  update(changes) {
+    const name = changes.name !== undefined ? sanitizeName(changes.name) || this.profile.name : this.profile.name;
+    const profile = { name, ...sanitizeAppearance({ ...this.profile, ...changes }) };
+    if (JSON.stringify(profile) === JSON.stringify(this.profile)) return;
+
+    this.profile = profile;
+    this.save();
+    this.refresh();
+    // Before joining there's nobody to tell yet
+    if (!this.resolveJoin) this.onChange(this.profile);
+  }
+
+  createPanel() {
+    this.element = document.createElement("div");
+    this.element.className = "profile-panel";
+    // Keep clicks from locking the pointer
+    this.element.addEventListener("click", (e) => e.stopPropagation());
+
+    const title = document.createElement("div");
+    title.className = "profile-title";
+    title.textContent = "Your player";
+    this.element.appendChild(title);
+
+    this.nameInput = document.createElement("input");
+    this.nameInput.type = "text";
+    this.nameInput.className = "profile-name";
+    this.nameInput.maxLength = MAX_NAME_LENGTH;
+    this.nameInput.placeholder = "Name";
+    this.nameInput.addEventListener("input", () => this.update({ name: this.nameInput.value }));
+    this.nameInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.close();
+    });
+    this.nameInput.addEventListener("blur", () => {
+      this.nameInput.value = this.profile.name;
+    });
+    this.addRow("Name", this.nameInput);
+
+    // Palette swatches plus a picker for anything else
+    const colors = document.createElement("div");
+    colors.className = "profile-colors";
+    this.swatches = this.palette.map(color => {
+      const swatch = document.createElement("button");
+      swatch.className = "profile-swatch";
+      swatch.style.backgroundColor = color;
+      swatch.title = color;
+      swatch.addEventListener("click", () => this.update({ color: color.toUpperCase() }));
+      colors.appendChild(swatch);
+      return { color: color.toUpperCase(), element: swatch };
+    });
+    this.colorPicker = document.createElement("input");
+    this.colorPicker.type = "color";
+    this.colorPicker.className = "profile-picker";
+    this.colorPicker.title = "Custom colour";
+    this.colorPicker.addEventListener("input", () => this.update({ color: this.colorPicker.value.toUpperCase() }));
+    colors.appendChild(this.colorPicker);
+    this.addRow("Colour", colors);
+
+    this.hatButtons = this.addChoices("Hat", HATS, HAT_LABELS, (hat) => this.update({ hat }));
+    this.eyeButtons = this.addChoices("Eyes", EYE_STYLES, EYE_LABELS, (eyes) => this.update({ eyes }));
+
+    this.doneButton = document.createElement("button");
+    this.doneButton.className = "profile-done";
+    this.doneButton.addEventListener("click", () => this.close());
+    this.element.appendChild(this.doneButton);
+
+    document.body.appendChild(this.element);
+    this.refresh();
+
+    // Touch devices have no P key
+    const button = document.createElement("div");
+    button.id = "profile-button";
+    button.innerText = "PROFILE";
+    button.addEventListener("touchstart", (e) => {
+      this.open();
+      e.preventDefault();
+    });
+    document.body.appendChild(button);
+  }
+
+  addRow(label, control) {
+    const row = document.createElement("div");
+    row.className = "profile-row";
+    const text = document.createElement("span");
+    text.className = "profile-label";
+    text.textContent = label;
+    row.appendChild(text);
+    row.appendChild(control);
+    this.element.appendChild(row);
+  }
+
+  addChoices(label, values, labels, onSelect) {
+    const group = document.createElement("div");
+    group.className = "profile-choices";
+    const buttons = values.map(value => {
+      const button = document.createElement("button");
+      button.textContent = labels[value];
+      button.addEventListener("click", () => onSelect(value));
+      group.appendChild(button);
+      return { value, element: button };
+    });
+    this.addRow(label, group);
+    return buttons;
+  }
+
+  // Show the current profile in the controls
+  refresh() {
+    const { name, color, hat, eyes } = this.profile;
+    if (document.activeElement !== this.nameInput) this.nameInput.value = name;
+    this.swatches.forEach(swatch => swatch.element.classList.toggle("selected", swatch.color === color));
+    if (color.startsWith("#")) this.colorPicker.value = color.toLowerCase();
+    this.hatButtons.forEach(button => button.element.classList.toggle("selected", button.value === hat));
+    this.eyeButtons.forEach(button => button.element.classList.toggle("selected", button.value === eyes));
+  }
+
+  get isOpen() {
+    return this.element.classList.contains("open");
+  }
+
+  // Before joining: resolves with the profile once "Play" is pressed
+  join() {
+    return new Promise(resolve => {
+      this.resolveJoin = resolve;
+      this.open();
+    });
+  }
+
+  open() {
+    this.doneButton.textContent = this.resolveJoin ? "Play" : "Done";
+    this.refresh();
+    this.element.classList.add("open");
+    if (document.pointerLockElement) document.exitPointerLock();
+    this.nameInput.focus();
+  }
+
+  close() {
+    this.element.classList.remove("open");
+    this.nameInput.blur();
+    if (this.resolveJoin) {
+      const resolve = this.resolveJoin;
+      this.resolveJoin = null;
+      resolve(this.profile);
+    }
+  }
+
+  // Open and close in game with a rebindable key
+  bindKeys(input) {
+    input.registerAction("profile", ["KeyP"], "Edit profile");
+    input.onAction("profile", () => {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+  }
+}
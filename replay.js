@@ -0,0 +1,692 @@
+import * as THREE from "three";
+import { Avatar } from "./avatar.js";
+import { validateLevel } from "./level.js";
+import { sanitizeName, sanitizeAppearance } from "./profile.js";
+
+// Session recordings. The Recorder captures our inputs and movement plus every
+// presence update from the other players, with times in ms since the start of
+// the recording, and saves them as a JSON file:
+//
+// {
+//   "format": "fpp-replay", "version": 1,
+//   "startedAt": "2024-01-01T12:00:00.000Z", "duration": 61234, "localId": "abc", "roomTime": 5123456,
+//   "level": { ...level file... },
+//   "players": { "abc": { "name": "Ann", "color": "#FF9AA2", "hat": "cap", "eyes": "round" } },
+//   "tracks": { "abc": [[t, x, y, z, qx, qy, qz, qw, movement, spectating], [t], ...] },
+//   "inputs": [[t, forward, right, yaw, buttons], ...]
+// }
+//
+// Track samples are only written when something changed; a sample holding just
+// the time means the player left. movement indexes MOVEMENTS, buttons has bit 1
+// for jump, 2 for sprint and 4 for crouch. roomTime is the room clock (see
+// clock.js) at the start, so moving platforms replay in step.
+//
+// The ReplayPlayer plays a file back offline in its own level with a free
+// camera, and a Ghost replays one track as a translucent avatar in live play.
+
+export const REPLAY_FORMAT = "fpp-replay";
+export const REPLAY_VERSION = 1;
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const MOVEMENTS = ["walk", "sprint", "crouch", "slide"];
+// Recordings stop growing after this long (ms)
+const MAX_DURATION = 30 * 60 * 1000;
+const GHOST_OPACITY = 0.35;
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReplayError";
+  }
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export class Recorder {
+  // options: { localId, getLevel(), getRoomTime() }
+  constructor(options = {}) {
+    this.localId = options.localId;
+    this.getLevel = options.getLevel || (() => null);
+    this.getRoomTime = options.getRoomTime || (() => 0);
+    this.recording = null;
+  }
+
+  get isRecording() {
+    return this.recording !== null;
+  }
+
+  // ms recorded so far
+  get elapsed() {
+    return this.recording ? Math.min(performance.now() - this.recording.startTime, MAX_DURATION) : 0;
+  }
+
+  get isFull() {
+    return this.elapsed >= MAX_DURATION;
+  }
+
+  start(now = performance.now()) {
+    this.recording = {
+      startTime: now,
+      startedAt: new Date().toISOString(),
+      level: this.getLevel(),
+      roomTime: Math.round(this.getRoomTime()),
+      players: {},
+      tracks: {},
+      inputs: []
+    };
+  }
+
+  // Finish and return the replay data
+  stop() {
+    const recording = this.recording;
+    if (!recording) return null;
+    this.recording = null;
+
+    const duration = Object.values(recording.tracks).reduce((end, samples) => Math.max(end, samples[samples.length - 1][0]), 0);
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      startedAt: recording.startedAt,
+      duration,
+      localId: this.localId,
+      roomTime: recording.roomTime,
+      level: recording.level,
+      players: recording.players,
+      tracks: recording.tracks,
+      inputs: recording.inputs
+    };
+  }
+
+  // Time of a sample, or null once the recording is full
+  time(now) {
+    const t = Math.round(now - this.recording.startTime);
+    return t <= MAX_DURATION ? t : null;
+  }
+
+  // Our own simulation state after a physics step, and the input that led to it
+  recordLocal(state, quaternion, input, spectating, profile, now = performance.now()) {
+    if (!this.recording) return;
+    const t = this.time(now);
+    if (t === null) return;
+
+    this.recordPlayer(this.localId, t, state, quaternion.toArray(), state.movement, spectating, profile);
+
+    if (input) {
+      const buttons = (input.jump ? 1 : 0) | (input.sprint ? 2 : 0) | (input.crouch ? 4 : 0);
+      const sample = [t, round(input.forward, 2), round(input.right, 2), round(input.yaw, 3), buttons];
+      const last = this.recording.inputs[this.recording.inputs.length - 1];
+      if (!last || !sameValues(last, sample)) this.recording.inputs.push(sample);
+    }
+  }
+
+  // Every other client's presence, as the transport delivers it
+  recordPresence(presence, now = performance.now()) {
+    if (!this.recording) return;
+    const t = this.time(now);
+    if (t === null) return;
+
+    Object.keys(presence).forEach(id => {
+      const values = presence[id];
+      if (id === this.localId || !values || typeof values.x !== "number") return;
+      this.recordPlayer(id, t, values, values.quaternion, values.movement, values.spectating, values);
+    });
+
+    // Players that left
+    Object.keys(this.recording.tracks).forEach(id => {
+      if (id !== this.localId && !presence[id]) this.addSample(id, [t]);
+    });
+  }
+
+  recordPlayer(id, t, position, quaternion, movement, spectating, profile) {
+    const q = Array.isArray(quaternion) && quaternion.length === 4 ? quaternion : [0, 0, 0, 1];
+    this.addSample(id, [
+      t,
+      round(position.x, 3), round(position.y, 3), round(position.z, 3),
+      round(q[0], 4), round(q[1], 4), round(q[2], 4), round(q[3], 4),
+      Math.max(0, MOVEMENTS.indexOf(movement)),
+      spectating ? 1 : 0
+    ]);
+    this.recording.players[id] = { name: sanitizeName(profile.name) || "Unknown", ...sanitizeAppearance(profile) };
+  }
+
+  addSample(id, sample) {
+    const tracks = this.recording.tracks;
+    if (!tracks[id]) {
+      // Leaving before we ever saw them doesn't need a track
+      if (sample.length === 1) return;
+      tracks[id] = [];
+    }
+    const last = tracks[id][tracks[id].length - 1];
+    if (!last || !sameValues(last, sample)) tracks[id].push(sample);
+  }
+}
+
+// Everything but the time matches
+function sameValues(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 1; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Download replay data as a file
+export function saveReplay(data) {
+  const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `replay-${data.startedAt.replace(/[:.]/g, "-")}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Parse and check a replay file; throws a ReplayError describing the problem
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new ReplayError(`Not valid JSON: ${error.message}`);
+  }
+  if (!data || data.format !== REPLAY_FORMAT) throw new ReplayError("Not a replay file");
+  if (data.version !== REPLAY_VERSION) throw new ReplayError(`Unsupported replay version ${data.version}`);
+
+  try {
+    validateLevel(data.level);
+  } catch (error) {
+    throw new ReplayError(`Level: ${error.message}`);
+  }
+
+  if (!data.tracks || typeof data.tracks !== "object") throw new ReplayError("tracks must be an object");
+  Object.keys(data.tracks).forEach(id => {
+    const samples = data.tracks[id];
+    const valid = Array.isArray(samples) && samples.length > 0 && samples.every((sample, i) =>
+      Array.isArray(sample) && (sample.length === 1 || sample.length === 10) &&
+      sample.every(value => typeof value === "number" && Number.isFinite(value)) &&
+      (i === 0 || sample[0] >= samples[i - 1][0]));
+    if (!valid) throw new ReplayError(`tracks.${id} is malformed`);
+  });
+
+  data.players = data.players && typeof data.players === "object" ? data.players : {};
+  data.duration = Number.isFinite(data.duration) ? data.duration : 0;
+  data.roomTime = Number.isFinite(data.roomTime) ? data.roomTime : 0;
+  return data;
+}
+
+// Display name of a recorded player
+export function replayPlayerName(data, id) {
+  const player = data.players[id];
+  return (player && sanitizeName(player.name)) || "Unknown";
+}
+
+// Ids of the recorded players, us first
+export function replayPlayerIds(data) {
+  return Object.keys(data.tracks).sort((a, b) => (a === data.localId ? -1 : b === data.localId ? 1 : 0));
+}
+
+const toPosition = new THREE.Vector3();
+const fromQuaternion = new THREE.Quaternion();
+const toQuaternion = new THREE.Quaternion();
+
+// State of a track at time t (ms), written into outPosition/outQuaternion.
+// Returns { movement, spectating }, or null when the player isn't there.
+export function sampleTrack(samples, t, outPosition, outQuaternion) {
+  // Last sample at or before t
+  let low = 0;
+  let high = samples.length - 1;
+  if (samples[0][0] > t) return null;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (samples[mid][0] <= t) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const from = samples[low];
+  if (from.length === 1) return null;
+  const to = samples[low + 1];
+
+  outPosition.set(from[1], from[2], from[3]);
+  fromQuaternion.set(from[4], from[5], from[6], from[7]).normalize();
+  if (to && to.length > 1 && to[0] > from[0]) {
+    const alpha = (t - from[0]) / (to[0] - from[0]);
+    outPosition.lerp(toPosition.set(to[1], to[2], to[3]), alpha);
+    toQuaternion.set(to[4], to[5], to[6], to[7]).normalize();
+    outQuaternion.slerpQuaternions(fromQuaternion, toQuaternion, alpha);
+  } else {
+    outQuaternion.copy(fromQuaternion);
+  }
+  return { movement: MOVEMENTS[from[8]] || "walk", spectating: from[9] === 1 };
+}
+
+function createReplayAvatar(data, id) {
+  const avatar = new Avatar({ ...sanitizeAppearance(data.players[id]), name: replayPlayerName(data, id) });
+  avatar.object.userData.id = id;
+  return avatar;
+}
+
+// Plays a recording offline: the recorded level replaces the live one and the
+// recorded players are drawn from their tracks, with pause, seek and speed.
+export class ReplayPlayer {
+  // options: { onStart(), onStop() }
+  constructor(world, camera, options = {}) {
+    this.world = world;
+    this.camera = camera;
+    this.onStart = options.onStart || (() => {});
+    this.onStop = options.onStop || (() => {});
+
+    this.data = null;
+    this.avatars = new Map();
+    // Visible recorded players by id, like app.js's playerObjects
+    this.playerObjects = new Map();
+    this.time = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+  }
+
+  get isActive() {
+    return this.data !== null;
+  }
+
+  get duration() {
+    return this.data ? this.data.duration : 0;
+  }
+
+  start(data) {
+    if (this.isActive) this.stop();
+    this.data = data;
+    // The live level comes back when the replay ends
+    this.liveLevel = this.world.toLevel(true);
+    this.world.load(data.level);
+
+    replayPlayerIds(data).forEach(id => {
+      const avatar = createReplayAvatar(data, id);
+      avatar.object.visible = false;
+      this.world.scene.add(avatar.object);
+      this.avatars.set(id, avatar);
+    });
+
+    this.time = 0;
+    this.playing = true;
+    this.place(0);
+    this.onStart();
+  }
+
+  stop() {
+    if (!this.isActive) return;
+    this.avatars.forEach(avatar => {
+      this.world.scene.remove(avatar.object);
+      avatar.dispose();
+    });
+    this.avatars.clear();
+    this.playerObjects.clear();
+    this.data = null;
+    this.playing = false;
+    this.world.load(this.liveLevel);
+    this.onStop();
+  }
+
+  seek(time) {
+    this.time = Math.max(0, Math.min(this.duration, time));
+    // Don't animate the jump as a sprint
+    this.avatars.forEach(avatar => avatar.resetMotion());
+  }
+
+  setSpeed(speed) {
+    if (REPLAY_SPEEDS.includes(speed)) this.speed = speed;
+  }
+
+  togglePause() {
+    // Play from the start again once the end was reached
+    if (!this.playing && this.time >= this.duration) this.seek(0);
+    this.playing = !this.playing;
+  }
+
+  // Call once per frame; frameTime in seconds
+  update(frameTime) {
+    if (!this.isActive) return;
+    if (this.playing) {
+      this.time += frameTime * 1000 * this.speed;
+      if (this.time >= this.duration) {
+        this.time = this.duration;
+        this.playing = false;
+      }
+    }
+    this.place(frameTime * this.speed);
+  }
+
+  // Room time in seconds at the current point of the recording
+  get roomTime() {
+    return (this.data.roomTime + this.time) / 1000;
+  }
+
+  // Put the platforms and every recorded player where they were at the current time
+  place(delta) {
+    this.world.platforms.update(this.roomTime);
+    this.world.platforms.render();
+
+    this.avatars.forEach((avatar, id) => {
+      const sample = sampleTrack(this.data.tracks[id], this.time, this.position, this.quaternion);
+      const visible = Boolean(sample && !sample.spectating);
+      avatar.object.visible = visible;
+      if (!visible) {
+        this.playerObjects.delete(id);
+        avatar.resetMotion();
+        return;
+      }
+      this.playerObjects.set(id, avatar.object);
+      avatar.object.position.copy(this.position);
+      avatar.setOrientation(this.quaternion);
+      avatar.setMovement(sample.movement);
+      avatar.update(delta, this.camera);
+    });
+  }
+}
+
+// One recorded player replayed as a translucent avatar in the live game,
+// starting from the beginning of the recording when (re)started
+export class Ghost {
+  constructor(scene, data, id) {
+    this.scene = scene;
+    this.data = data;
+    this.id = id;
+    this.startTime = performance.now();
+    this.position = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+
+    this.avatar = createReplayAvatar(data, id);
+    this.avatar.setName(`Ghost: ${replayPlayerName(data, id)}`);
+    // Own copies, so the translucency doesn't leak into shared materials
+    this.avatar.useOwnMaterials();
+    this.avatar.object.traverse(child => {
+      if (!child.isMesh) return;
+      child.material.transparent = true;
+      child.material.opacity = GHOST_OPACITY;
+      child.material.depthWrite = false;
+      child.castShadow = false;
+    });
+    this.scene.add(this.avatar.object);
+  }
+
+  restart(now = performance.now()) {
+    this.startTime = now;
+    this.avatar.resetMotion();
+  }
+
+  // Call once per frame; stays where the run ended once it's over
+  update(now, frameTime, camera) {
+    const t = Math.min(now - this.startTime, this.data.duration);
+    const sample = sampleTrack(this.data.tracks[this.id], t, this.position, this.quaternion);
+    this.avatar.object.visible = Boolean(sample && !sample.spectating);
+    if (!this.avatar.object.visible) return;
+
+    this.avatar.object.position.copy(this.position);
+    this.avatar.setOrientation(this.quaternion);
+    this.avatar.setMovement(sample.movement);
+    this.avatar.update(frameTime, camera);
+  }
+
+  dispose() {
+    this.scene.remove(this.avatar.object);
+    this.avatar.dispose();
+  }
+}
+
+function formatTime(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// Record / load panel (Y) and the playback bar shown during a replay
+export class ReplayPanel {
+  // options: { input, scene, camera, onSpectate(id) }
+  constructor(recorder, player, options = {}) {
+    this.recorder = recorder;
+    this.player = player;
+    this.scene = options.scene;
+    this.camera = options.camera;
+    this.onSpectate = options.onSpectate || (() => {});
+    this.loaded = null;
+    this.ghost = null;
+
+    this.createPanel();
+    this.createBar();
+
+    if (options.input) {
+      options.input.registerAction("replays", ["KeyY"], "Recording and replays");
+      options.input.onAction("replays", () => this.toggle());
+    }
+  }
+
+  createPanel() {
+    this.element = document.createElement("div");
+    this.element.className = "replay-panel";
+    this.element.addEventListener("click", (e) => e.stopPropagation());
+
+    const title = document.createElement("div");
+    title.className = "replay-title";
+    title.textContent = "Replays";
+    this.element.appendChild(title);
+
+    const recordRow = this.addRow();
+    this.recordButton = this.addButton(recordRow, "Record", () => this.toggleRecording());
+    this.recordStatus = document.createElement("span");
+    this.recordStatus.className = "replay-status";
+    recordRow.appendChild(this.recordStatus);
+
+    const loadRow = this.addRow();
+    this.fileInput = document.createElement("input");
+    this.fileInput.type = "file";
+    this.fileInput.accept = ".json,application/json";
+    this.fileInput.addEventListener("change", () => this.loadFile(this.fileInput.files[0]));
+    loadRow.appendChild(this.fileInput);
+
+    this.loadedRow = this.addRow();
+    this.trackSelect = document.createElement("select");
+    this.loadedRow.appendChild(this.trackSelect);
+    this.addButton(this.loadedRow, "Watch", () => this.watch());
+    this.addButton(this.loadedRow, "Race ghost", () => this.startGhost());
+
+    this.ghostRow = this.addRow();
+    this.addButton(this.ghostRow, "Restart ghost", () => this.ghost && this.ghost.restart());
+    this.addButton(this.ghostRow, "Remove ghost", () => this.removeGhost());
+
+    this.message = document.createElement("div");
+    this.message.className = "replay-message";
+    this.element.appendChild(this.message);
+
+    document.body.appendChild(this.element);
+    this.refresh();
+  }
+
+  createBar() {
+    this.bar = document.createElement("div");
+    this.bar.className = "replay-bar";
+    this.bar.addEventListener("click", (e) => e.stopPropagation());
+
+    this.playButton = this.addButton(this.bar, "Pause", () => {
+      this.player.togglePause();
+      this.refreshBar();
+    });
+
+    this.seekInput = document.createElement("input");
+    this.seekInput.type = "range";
+    this.seekInput.min = "0";
+    this.seekInput.step = "10";
+    this.seekInput.addEventListener("input", () => this.player.seek(Number(this.seekInput.value)));
+    this.bar.appendChild(this.seekInput);
+
+    this.timeLabel = document.createElement("span");
+    this.timeLabel.className = "replay-time";
+    this.bar.appendChild(this.timeLabel);
+
+    this.speedSelect = document.createElement("select");
+    REPLAY_SPEEDS.forEach(speed => {
+      const option = document.createElement("option");
+      option.value = String(speed);
+      option.textContent = `${speed}×`;
+      this.speedSelect.appendChild(option);
+    });
+    this.speedSelect.value = "1";
+    this.speedSelect.addEventListener("change", () => this.player.setSpeed(Number(this.speedSelect.value)));
+    this.bar.appendChild(this.speedSelect);
+
+    // Free flight, or follow one of the recorded players
+    this.followSelect = document.createElement("select");
+    this.followSelect.addEventListener("change", () => this.onSpectate(this.followSelect.value || null));
+    this.bar.appendChild(this.followSelect);
+
+    this.addButton(this.bar, "Exit", () => {
+      this.player.stop();
+      this.refresh();
+    });
+
+    document.body.appendChild(this.bar);
+  }
+
+  addRow() {
+    const row = document.createElement("div");
+    row.className = "replay-row";
+    this.element.appendChild(row);
+    return row;
+  }
+
+  addButton(parent, label, onClick) {
+    const button = document.createElement("button");
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    parent.appendChild(button);
+    return button;
+  }
+
+  get isOpen() {
+    return this.element.classList.contains("open");
+  }
+
+  toggle() {
+    const open = !this.isOpen;
+    this.element.classList.toggle("open", open);
+    if (open && document.pointerLockElement) document.exitPointerLock();
+    this.refresh();
+  }
+
+  showMessage(text) {
+    this.message.textContent = text;
+  }
+
+  toggleRecording() {
+    if (this.recorder.isRecording) {
+      const data = this.recorder.stop();
+      saveReplay(data);
+      // Ready to watch or race straight away
+      this.setLoaded(data);
+      this.showMessage(`Saved ${formatTime(data.duration)} recording`);
+    } else {
+      this.recorder.start();
+      this.showMessage("");
+    }
+    this.refresh();
+  }
+
+  loadFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        this.setLoaded(parseReplay(reader.result));
+        this.showMessage(`Loaded ${file.name}`);
+      } catch (error) {
+        console.log("Could not load replay:", error.message);
+        this.showMessage(`Could not load replay: ${error.message}`);
+      }
+      this.refresh();
+    };
+    reader.readAsText(file);
+  }
+
+  setLoaded(data) {
+    this.loaded = data;
+    this.trackSelect.innerHTML = "";
+    replayPlayerIds(data).forEach(id => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = id === data.localId ? `${replayPlayerName(data, id)} (recorder)` : replayPlayerName(data, id);
+      this.trackSelect.appendChild(option);
+    });
+  }
+
+  watch() {
+    if (!this.loaded) return;
+    this.removeGhost();
+    this.player.start(this.loaded);
+    this.speedSelect.value = String(this.player.speed);
+
+    this.followSelect.innerHTML = "";
+    const free = document.createElement("option");
+    free.value = "";
+    free.textContent = "Free camera";
+    this.followSelect.appendChild(free);
+    replayPlayerIds(this.loaded).forEach(id => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = `Follow ${replayPlayerName(this.loaded, id)}`;
+      this.followSelect.appendChild(option);
+    });
+
+    this.element.classList.remove("open");
+    this.refresh();
+  }
+
+  startGhost() {
+    if (!this.loaded || !this.trackSelect.value) return;
+    this.removeGhost();
+    this.ghost = new Ghost(this.scene, this.loaded, this.trackSelect.value);
+    this.refresh();
+  }
+
+  removeGhost() {
+    if (!this.ghost) return;
+    this.ghost.dispose();
+    this.ghost = null;
+    this.refresh();
+  }
+
+  refresh() {
+    const recording = this.recorder.isRecording;
+    this.recordButton.textContent = recording ? "Stop and save" : "Record";
+    this.recordButton.disabled = this.player.isActive;
+    this.loadedRow.style.display = this.loaded && !recording ? "flex" : "none";
+    this.ghostRow.style.display = this.ghost ? "flex" : "none";
+    this.bar.style.display = this.player.isActive ? "flex" : "none";
+    this.refreshBar();
+  }
+
+  refreshBar() {
+    if (!this.player.isActive) return;
+    this.playButton.textContent = this.player.playing ? "Pause" : "Play";
+    this.seekInput.max = String(this.player.duration);
+    // Don't fight the user while they drag
+    if (document.activeElement !== this.seekInput) this.seekInput.value = String(this.player.time);
+    this.timeLabel.textContent = `${formatTime(this.player.time)} / ${formatTime(this.player.duration)}`;
+  }
+
+  // Call once per frame
+  update(now, frameTime) {
+    if (this.ghost) this.ghost.update(now, frameTime, this.camera);
+    if (this.recorder.isRecording) {
+      this.recordStatus.textContent = `● ${formatTime(this.recorder.elapsed)}${this.recorder.isFull ? " (full)" : ""}`;
+    } else {
+      this.recordStatus.textContent = "";
+    }
+    this.refreshBar();
+  }
+}
@@ -0,0 +1,201 @@
+// Reference relay server for WebSocketTransport (see transport.js).
+// No dependencies: node server/relay.js [port]
+// Clients connect with ws://host:port, the game with ?transport=ws&server=ws://host:port
+//
+// The relay keeps every client's merged presence and forwards broadcast
+// messages to everyone else. It does no validation beyond size limits.
+
+import http from "node:http";
+import crypto from "node:crypto";
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const MAX_FRAME_SIZE = 64 * 1024;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// clientId -> { socket, presence }
+const clients = new Map();
+
+// Ids are public (every peer sees them), so taking one back after a dropped
+// connection needs the resume token sent with the welcome: an HMAC of the id
+// with a secret made at startup, so nothing has to be stored per client
+const RESUME_SECRET = crypto.randomBytes(32);
+
+function resumeToken(clientId) {
+  return crypto.createHmac("sha256", RESUME_SECRET).update(clientId).digest("hex");
+}
+
+function canResume(clientId, token) {
+  if (!clientId || !/^[\w-]{1,64}$/.test(clientId) || typeof token !== "string") return false;
+  const expected = Buffer.from(resumeToken(clientId));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// `data` is text, or a Buffer sent as is (ping payloads may be binary)
+function encodeFrame(data, opcode = 0x1) {
+  const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Parse as many complete frames as the buffer holds.
+// Returns { frames: [{ opcode, payload }], rest } or null for a protocol error.
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const opcode = first & 0x0f;
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7f;
+    let headerLength = 2;
+
+    // Clients must mask their frames, and we don't support fragmented messages
+    if (!masked || (first & 0x80) === 0) return null;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+    if (length > MAX_FRAME_SIZE) return null;
+
+    const total = headerLength + 4 + length;
+    if (buffer.length - offset < total) break;
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + 4, offset + total));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset += total;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+function send(socket, packet) {
+  if (!socket.destroyed) {
+    socket.write(encodeFrame(JSON.stringify(packet)));
+  }
+}
+
+function broadcast(packet, exceptId) {
+  clients.forEach((client, clientId) => {
+    if (clientId !== exceptId) send(client.socket, packet);
+  });
+}
+
+function presenceSnapshot() {
+  const presence = {};
+  clients.forEach((client, clientId) => {
+    presence[clientId] = client.presence;
+  });
+  return presence;
+}
+
+function handlePacket(clientId, packet) {
+  const client = clients.get(clientId);
+  if (!client || !packet || typeof packet !== "object") return;
+
+  if (packet.type === "presence" && packet.presence && typeof packet.presence === "object") {
+    client.presence = { ...client.presence, ...packet.presence };
+    broadcast({ type: "presence", clientId, presence: packet.presence }, clientId);
+  } else if (packet.type === "message" && packet.message && typeof packet.message === "object") {
+    broadcast({ type: "message", clientId, message: packet.message }, clientId);
+  }
+}
+
+function disconnect(clientId, socket) {
+  const client = clients.get(clientId);
+  // A reconnect with the same id may already have replaced this socket
+  if (!client || client.socket !== socket) return;
+  clients.delete(clientId);
+  broadcast({ type: "presence", clientId, presence: null });
+  console.log(`${clientId} left (${clients.size} connected)`);
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("WebSocket relay: connect with a WebSocket client\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  // Reuse the requested id when resuming a dropped connection with its token
+  const params = new URL(req.url, "http://relay").searchParams;
+  const requestedId = params.get("clientId");
+  const clientId = canResume(requestedId, params.get("token")) ? requestedId : crypto.randomUUID();
+  const previous = clients.get(clientId);
+  if (previous) previous.socket.destroy();
+
+  clients.set(clientId, { socket, presence: previous ? previous.presence : {} });
+  send(socket, { type: "welcome", clientId, resumeToken: resumeToken(clientId), presence: presenceSnapshot() });
+  console.log(`${clientId} joined (${clients.size} connected)`);
+
+  let buffer = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    const result = decodeFrames(buffer);
+    if (!result) {
+      socket.destroy();
+      return;
+    }
+    buffer = result.rest;
+
+    result.frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x1) {
+        try {
+          handlePacket(clientId, JSON.parse(payload.toString("utf8")));
+        } catch (error) {
+          // Ignore malformed JSON
+        }
+      } else if (opcode === 0x8) {
+        socket.end(encodeFrame("", 0x8));
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload, 0xA));
+      }
+    });
+  });
+
+  socket.on("close", () => disconnect(clientId, socket));
+  socket.on("error", () => disconnect(clientId, socket));
+});
+
+server.listen(PORT, () => {
+  console.log(`Relay listening on ws://localhost:${PORT}`);
+});
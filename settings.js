@@ -0,0 +1,265 @@
+import * as THREE from "three";
+import { safeLocalStorage } from "./storage.js";
+
+// Player settings: field of view, look sensitivity, invert-Y, graphics
+// quality and players' lights at night (see daynight.js), saved in
+// localStorage and applied as soon as they change. Volume lives in the
+// SoundManager (sound.js), which saves it itself.
+
+// Shadow map, shadow filtering and render resolution for each quality level.
+// resolutionScale multiplies the device pixel ratio (capped at MAX_PIXEL_RATIO).
+export const GRAPHICS_PRESETS = {
+  low: { label: "Low", shadows: false, shadowMapSize: 0, shadowType: THREE.BasicShadowMap, resolutionScale: 0.5 },
+  medium: { label: "Medium", shadows: true, shadowMapSize: 1024, shadowType: THREE.PCFShadowMap, resolutionScale: 0.75 },
+  high: { label: "High", shadows: true, shadowMapSize: 2048, shadowType: THREE.PCFSoftShadowMap, resolutionScale: 1 }
+};
+
+const MAX_PIXEL_RATIO = 2;
+
+// Sensitivities are multipliers of the PlayerControls defaults
+export const DEFAULT_SETTINGS = {
+  fov: 75,
+  mouseSensitivity: 1,
+  touchSensitivity: 1,
+  invertY: false,
+  graphics: "high",
+  avatarLights: true
+};
+
+const RANGES = {
+  fov: { min: 60, max: 110, step: 1 },
+  mouseSensitivity: { min: 0.2, max: 3, step: 0.1 },
+  touchSensitivity: { min: 0.2, max: 3, step: 0.1 }
+};
+
+const STORAGE_KEY = "fpp.settings";
+
+// Settings with anything missing or out of range replaced by the defaults
+export function sanitizeSettings(values = {}, defaults = DEFAULT_SETTINGS) {
+  const settings = { ...defaults };
+  Object.keys(RANGES).forEach(key => {
+    const value = values[key];
+    if (typeof value === "number" && Number.isFinite(value)) {
+      settings[key] = Math.max(RANGES[key].min, Math.min(RANGES[key].max, value));
+    }
+  });
+  if (typeof values.invertY === "boolean") settings.invertY = values.invertY;
+  if (typeof values.avatarLights === "boolean") settings.avatarLights = values.avatarLights;
+  if (GRAPHICS_PRESETS[values.graphics]) settings.graphics = values.graphics;
+  return settings;
+}
+
+// Apply a graphics preset to the renderer and the level's sun
+export function applyGraphics(renderer, scene, world, presetName) {
+  const preset = GRAPHICS_PRESETS[presetName] || GRAPHICS_PRESETS.high;
+
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO) * preset.resolutionScale);
+  renderer.setSize(window.innerWidth, window.innerHeight);
+
+  if (renderer.shadowMap.enabled !== preset.shadows || renderer.shadowMap.type !== preset.shadowType) {
+    renderer.shadowMap.enabled = preset.shadows;
+    renderer.shadowMap.type = preset.shadowType;
+    // Shadow support is compiled into the shaders, so every material needs a rebuild
+    scene.traverse(object => {
+      if (!object.material) return;
+      [].concat(object.material).forEach(material => {
+        material.needsUpdate = true;
+      });
+    });
+  }
+
+  world.setShadowMapSize(preset.shadowMapSize);
+}
+
+export class SettingsPanel {
+  // options: { defaults, sounds, onChange(settings) }
+  constructor(options = {}) {
+    this.defaults = sanitizeSettings(options.defaults);
+    this.sounds = options.sounds || null;
+    this.onChange = options.onChange || (() => {});
+    this.storage = safeLocalStorage();
+    this.settings = this.load();
+
+    this.createPanel();
+
+    // Escape releases the pointer, which opens the panel; with the pointer
+    // already free it toggles the panel
+    document.addEventListener("keydown", (e) => {
+      if (e.code !== "Escape" || document.pointerLockElement) return;
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+      this.toggle();
+    });
+  }
+
+  load() {
+    let saved = {};
+    if (this.storage) {
+      try {
+        saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || "{}") || {};
+      } catch (error) {
+        console.log("Ignoring saved settings:", error.message);
+      }
+    }
+    return sanitizeSettings(saved, this.defaults);
+  }
+
+  save() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.log("Could not save settings:", error.message);
+    }
+  }
+
+  set(changes) {
+    this.settings = sanitizeSettings({ ...this.settings, ...changes }, this.defaults);
+    this.save();
+    this.refresh();
+    this.onChange(this.settings);
+  }
+
+  createPanel() {
+    this.element = document.createElement("div");
+    this.element.className = "settings-panel";
+    // Keep clicks from locking the pointer
+    this.element.addEventListener("click", (e) => e.stopPropagation());
+
+    const title = document.createElement("div");
+    title.className = "settings-title";
+    title.textContent = "Settings";
+    this.element.appendChild(title);
+
+    this.controls = {};
+    this.addSlider("fov", "Field of view", value => `${value}°`);
+    this.addSlider("mouseSensitivity", "Mouse sensitivity", value => `${value.toFixed(1)}×`);
+    this.addSlider("touchSensitivity", "Touch sensitivity", value => `${value.toFixed(1)}×`);
+
+    const invert = document.createElement("input");
+    invert.type = "checkbox";
+    invert.addEventListener("change", () => this.set({ invertY: invert.checked }));
+    this.addRow("Invert Y", invert);
+    this.controls.invertY = { input: invert };
+
+    if (this.sounds) {
+      const volume = document.createElement("input");
+      volume.type = "range";
+      volume.min = "0";
+      volume.max = "100";
+      volume.addEventListener("input", () => {
+        this.sounds.setVolume(Number(volume.value) / 100);
+        this.refresh();
+      });
+      const label = this.addRow("Volume", volume);
+      this.controls.volume = { input: volume, label };
+    }
+
+    const graphics = document.createElement("select");
+    Object.keys(GRAPHICS_PRESETS).forEach(name => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = GRAPHICS_PRESETS[name].label;
+      graphics.appendChild(option);
+    });
+    graphics.addEventListener("change", () => this.set({ graphics: graphics.value }));
+    this.addRow("Graphics", graphics);
+    this.controls.graphics = { input: graphics };
+
+    const lights = document.createElement("input");
+    lights.type = "checkbox";
+    lights.addEventListener("change", () => this.set({ avatarLights: lights.checked }));
+    this.addRow("Player lights at night", lights);
+    this.controls.avatarLights = { input: lights };
+
+    const buttons = document.createElement("div");
+    buttons.className = "settings-buttons";
+    const reset = document.createElement("button");
+    reset.textContent = "Reset";
+    reset.addEventListener("click", () => this.set(this.defaults));
+    buttons.appendChild(reset);
+    const close = document.createElement("button");
+    close.textContent = "Close";
+    close.addEventListener("click", () => this.close());
+    buttons.appendChild(close);
+    this.element.appendChild(buttons);
+
+    document.body.appendChild(this.element);
+
+    // Touch devices have no Escape key
+    const button = document.createElement("div");
+    button.id = "settings-button";
+    button.innerText = "SETTINGS";
+    button.addEventListener("touchstart", (e) => {
+      this.toggle();
+      e.preventDefault();
+    });
+    document.body.appendChild(button);
+
+    this.refresh();
+  }
+
+  // Returns the value label
+  addRow(label, control) {
+    const row = document.createElement("label");
+    row.className = "settings-row";
+    const text = document.createElement("span");
+    text.className = "settings-label";
+    text.textContent = label;
+    row.appendChild(text);
+    row.appendChild(control);
+    const value = document.createElement("span");
+    value.className = "settings-value";
+    row.appendChild(value);
+    this.element.appendChild(row);
+    return value;
+  }
+
+  addSlider(key, label, format) {
+    const input = document.createElement("input");
+    input.type = "range";
+    input.min = String(RANGES[key].min);
+    input.max = String(RANGES[key].max);
+    input.step = String(RANGES[key].step);
+    input.addEventListener("input", () => this.set({ [key]: Number(input.value) }));
+    this.controls[key] = { input, label: this.addRow(label, input), format };
+  }
+
+  // Show the current values in the controls
+  refresh() {
+    Object.keys(RANGES).forEach(key => {
+      const { input, label, format } = this.controls[key];
+      input.value = String(this.settings[key]);
+      label.textContent = format(this.settings[key]);
+    });
+    this.controls.invertY.input.checked = this.settings.invertY;
+    this.controls.graphics.input.value = this.settings.graphics;
+    this.controls.avatarLights.input.checked = this.settings.avatarLights;
+    if (this.controls.volume) {
+      const volume = Math.round(this.sounds.volume * 100);
+      this.controls.volume.input.value = String(volume);
+      this.controls.volume.label.textContent = `${volume}%`;
+    }
+  }
+
+  get isOpen() {
+    return this.element.classList.contains("open");
+  }
+
+  open() {
+    // Volume may have changed through the sound controls
+    this.refresh();
+    this.element.classList.add("open");
+  }
+
+  close() {
+    this.element.classList.remove("open");
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+}
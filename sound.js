@@ -0,0 +1,222 @@
+import * as THREE from "three";
+import { RENDER_DELAY } from "./interpolation.js";
+import { safeLocalStorage } from "./storage.js";
+import { RateLimiter } from "./chat.js";
+
+// Sound effects, by name. Landings and footsteps reuse the jump sample,
+// pitched down or up.
+export const SOUNDS = {
+  jump: { url: "/Wood_jump3.wav.mp3", volume: 0.5 },
+  land: { url: "/Wood_jump3.wav.mp3", volume: 0.35, playbackRate: 0.6 },
+  footstep: { url: "/Wood_jump3.wav.mp3", volume: 0.12, playbackRate: 1.8, detune: 200 }
+};
+
+// Distance attenuation for sounds from other players (units)
+const REF_DISTANCE = 2;
+const MAX_DISTANCE = 40;
+const ROLLOFF_FACTOR = 1.5;
+
+// Sounds accepted from each player: a burst of 10, then one per 100 ms,
+// well above a sprinting player's footsteps and jumps
+const RECEIVE_CAPACITY = 10;
+const RECEIVE_INTERVAL = 100;
+
+const STORAGE_KEY = "fpp.audio";
+
+// Plays sound effects through a Three.js AudioListener on the camera. Local
+// events are broadcast as "sound" messages and played positionally from the
+// sender's avatar on every other client.
+export class SoundManager {
+  // options: { localId, getPlayerObject(id) }
+  constructor(camera, bus, options = {}) {
+    this.bus = bus;
+    this.localId = options.localId;
+    this.getPlayerObject = options.getPlayerObject || (() => null);
+    this.storage = safeLocalStorage();
+
+    this.listener = new THREE.AudioListener();
+    camera.add(this.listener);
+
+    this.loader = new THREE.AudioLoader();
+    this.buffers = new Map();
+    // Non-positional sounds for our own events, one per sound name
+    this.localSounds = new Map();
+
+    const saved = this.loadSettings();
+    this.volume = saved.volume;
+    this.muted = saved.muted;
+    this.applyVolume();
+
+    Object.keys(SOUNDS).forEach(name => this.loadBuffer(SOUNDS[name].url));
+
+    this.setupUnlock();
+    this.createControls();
+
+    this.receiveLimiters = new Map();
+    this.bus.on("sound", (data, clientId) => {
+      if (clientId === this.localId || !SOUNDS[data.sound]) return;
+      if (!this.receiveLimiters.has(clientId)) {
+        this.receiveLimiters.set(clientId, new RateLimiter(RECEIVE_CAPACITY, RECEIVE_INTERVAL));
+      }
+      if (!this.receiveLimiters.get(clientId).tryTake()) return;
+      // Remote avatars are drawn RENDER_DELAY in the past, so play in step with them
+      setTimeout(() => this.playAt(data.sound, this.getPlayerObject(clientId)), RENDER_DELAY);
+    });
+  }
+
+  // Register the mute key with an InputManager
+  bindKeys(input) {
+    input.registerAction("mute", ["KeyM"], "Mute sound");
+    input.onAction("mute", () => this.setMuted(!this.muted));
+  }
+
+  loadSettings() {
+    const settings = { volume: 0.8, muted: false };
+    if (!this.storage) return settings;
+    try {
+      const saved = JSON.parse(this.storage.getItem(STORAGE_KEY) || "{}");
+      if (typeof saved.volume === "number") settings.volume = Math.max(0, Math.min(1, saved.volume));
+      if (typeof saved.muted === "boolean") settings.muted = saved.muted;
+    } catch (error) {
+      console.log("Ignoring saved audio settings:", error.message);
+    }
+    return settings;
+  }
+
+  saveSettings() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+    } catch (error) {
+      console.log("Could not save audio settings:", error.message);
+    }
+  }
+
+  loadBuffer(url) {
+    if (this.buffers.has(url)) return;
+    this.buffers.set(url, null);
+    this.loader.load(
+      url,
+      (buffer) => this.buffers.set(url, buffer),
+      undefined,
+      (error) => console.log(`Could not load sound ${url}:`, error)
+    );
+  }
+
+  // Browsers keep the AudioContext suspended until the first user gesture
+  setupUnlock() {
+    const unlock = () => {
+      const context = this.listener.context;
+      if (context.state === "suspended") {
+        context.resume().catch(e => console.log("Error resuming audio:", e));
+      }
+      if (context.state === "running") {
+        ["click", "keydown", "touchstart"].forEach(type => document.removeEventListener(type, unlock));
+      }
+    };
+    ["click", "keydown", "touchstart"].forEach(type => document.addEventListener(type, unlock));
+  }
+
+  get unlocked() {
+    return this.listener.context.state === "running";
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    this.applyVolume();
+    this.saveSettings();
+  }
+
+  setMuted(muted) {
+    this.muted = muted;
+    this.applyVolume();
+    this.saveSettings();
+  }
+
+  applyVolume() {
+    this.listener.setMasterVolume(this.muted ? 0 : this.volume);
+    if (this.controls) this.updateControls();
+  }
+
+  // Play one of our own events and tell the room about it
+  emit(name) {
+    this.play(name);
+    this.bus.send("sound", { sound: name });
+  }
+
+  play(name) {
+    let sound = this.localSounds.get(name);
+    if (!sound) {
+      sound = new THREE.Audio(this.listener);
+      this.localSounds.set(name, sound);
+    }
+    this.start(sound, name);
+  }
+
+  // Play a sound from an object in the world, attenuated by distance
+  playAt(name, object) {
+    if (!object) return;
+
+    if (!object.userData.sounds) object.userData.sounds = new Map();
+    let sound = object.userData.sounds.get(name);
+    if (!sound) {
+      sound = new THREE.PositionalAudio(this.listener);
+      sound.setRefDistance(REF_DISTANCE);
+      sound.setMaxDistance(MAX_DISTANCE);
+      sound.setRolloffFactor(ROLLOFF_FACTOR);
+      object.add(sound);
+      object.userData.sounds.set(name, sound);
+    }
+    this.start(sound, name);
+  }
+
+  start(sound, name) {
+    // Sounds before the unlock or before loading are dropped, not queued
+    const definition = SOUNDS[name];
+    const buffer = this.buffers.get(definition.url);
+    if (!buffer || !this.unlocked) return;
+
+    if (sound.buffer !== buffer) sound.setBuffer(buffer);
+    if (sound.isPlaying) sound.stop();
+    sound.setVolume(definition.volume);
+    sound.setPlaybackRate(definition.playbackRate || 1);
+    sound.setDetune(definition.detune ? (Math.random() * 2 - 1) * definition.detune : 0);
+    sound.play();
+  }
+
+  // Mute button and volume slider
+  createControls() {
+    this.controls = document.createElement("div");
+    this.controls.className = "sound-controls";
+
+    this.muteButton = document.createElement("button");
+    this.muteButton.className = "sound-mute";
+    this.muteButton.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.setMuted(!this.muted);
+    });
+
+    this.volumeSlider = document.createElement("input");
+    this.volumeSlider.type = "range";
+    this.volumeSlider.min = "0";
+    this.volumeSlider.max = "1";
+    this.volumeSlider.step = "0.05";
+    this.volumeSlider.addEventListener("input", () => {
+      this.setVolume(Number(this.volumeSlider.value));
+      if (this.muted && this.volume > 0) this.setMuted(false);
+    });
+    // Don't let clicks on the slider lock the pointer
+    this.controls.addEventListener("click", (e) => e.stopPropagation());
+
+    this.controls.appendChild(this.muteButton);
+    this.controls.appendChild(this.volumeSlider);
+    document.body.appendChild(this.controls);
+    this.updateControls();
+  }
+
+  updateControls() {
+    this.muteButton.textContent = this.muted ? "🔇" : "🔊";
+    this.muteButton.title = this.muted ? "Unmute (M)" : "Mute (M)";
+    this.volumeSlider.value = String(this.volume);
+  }
+}
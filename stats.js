@@ -0,0 +1,144 @@
+import { HATS, EYE_STYLES } from "./profile.js";
+import { safeLocalStorage } from "./storage.js";
+
+// Performance tools: an overlay with the renderer's per-frame counts (draw
+// calls, triangles, GPU memory) and ?bots=N simulated players, to see how the
+// game holds up in a full room without one.
+
+export const MAX_BOTS = 200;
+
+// How often the overlay text is refreshed (ms)
+const REFRESH_INTERVAL = 250;
+// Bots publish like real players, at the presence tick rate (ms)
+const BOT_INTERVAL = 1000 / 15;
+
+const BOT_SPEED = 3; // units per second
+
+const STORAGE_KEY = "fpp.stats";
+
+// Number of simulated players from ?bots=..., 0 when absent
+export function getBotCount(search = window.location.search) {
+  const count = parseInt(new URLSearchParams(search).get("bots"), 10);
+  return Number.isFinite(count) ? Math.max(0, Math.min(MAX_BOTS, count)) : 0;
+}
+
+export class RenderStats {
+  // options: { input, getPlayerCount(), getNetworkStats() -> { messagesPerSecond, bytesPerSecond } }
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.getPlayerCount = options.getPlayerCount || (() => 0);
+    this.getNetworkStats = options.getNetworkStats || (() => null);
+    this.storage = safeLocalStorage();
+    this.lastRefresh = -Infinity;
+    this.frames = 0;
+    this.frameTime = 0;
+
+    this.element = document.createElement("div");
+    this.element.className = "render-stats";
+    document.body.appendChild(this.element);
+    this.setVisible(this.storage ? this.storage.getItem(STORAGE_KEY) === "shown" : false);
+
+    if (options.input) {
+      options.input.registerAction("toggleStats", ["Backquote"], "Renderer stats");
+      options.input.onAction("toggleStats", () => this.setVisible(!this.visible));
+    }
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.element.style.display = visible ? "block" : "none";
+    if (this.storage) {
+      try {
+        this.storage.setItem(STORAGE_KEY, visible ? "shown" : "hidden");
+      } catch (error) {
+        console.log("Could not save stats setting:", error.message);
+      }
+    }
+  }
+
+  // Call once per frame, after rendering: the counts are for the last render
+  update(now, frameTime) {
+    if (!this.visible) return;
+    this.frames++;
+    this.frameTime += frameTime;
+    if (now - this.lastRefresh < REFRESH_INTERVAL) return;
+
+    const { render, memory, programs } = this.renderer.info;
+    const fps = this.frameTime > 0 ? this.frames / this.frameTime : 0;
+    const lines = [
+      `${Math.round(fps)} fps`,
+      `Draw calls: ${render.calls}`,
+      `Triangles: ${render.triangles.toLocaleString()}`,
+      `Geometries: ${memory.geometries}`,
+      `Textures: ${memory.textures}`,
+      `Shaders: ${programs ? programs.length : 0}`,
+      `Players: ${this.getPlayerCount()}`
+    ];
+    const network = this.getNetworkStats();
+    if (network) {
+      lines.push(`Sent: ${network.messagesPerSecond.toFixed(1)} msg/s, ${(network.bytesPerSecond / 1024).toFixed(1)} kB/s`);
+    }
+    this.element.textContent = lines.join("\n");
+
+    this.lastRefresh = now;
+    this.frames = 0;
+    this.frameTime = 0;
+  }
+}
+
+// Pretend players walking in circles around the level's spawn points. Their presence
+// goes through the same path as real players' (onPresence), so they cost the
+// same to draw and interpolate, but nothing is sent over the network.
+export class SimulatedPlayers {
+  // options: { getSpawnPoints(), palette, onPresence(id, presence) }
+  constructor(count, options = {}) {
+    this.getSpawnPoints = options.getSpawnPoints || (() => []);
+    const palette = options.palette && options.palette.length > 0 ? options.palette : ["#FFFFFF"];
+    this.onPresence = options.onPresence || (() => {});
+    this.lastUpdate = -Infinity;
+
+    this.bots = Array.from({ length: count }, (_, i) => ({
+      id: `bot-${i}`,
+      index: i,
+      radius: 2 + (i % 7) * 1.5,
+      // Half of them go the other way round
+      direction: i % 2 === 0 ? 1 : -1,
+      angle: (i / count) * Math.PI * 2,
+      presence: {
+        name: `Bot ${i + 1}`,
+        color: palette[i % palette.length],
+        hat: HATS[i % HATS.length],
+        eyes: EYE_STYLES[i % EYE_STYLES.length]
+      }
+    }));
+  }
+
+  has(id) {
+    return this.bots.some(bot => bot.id === id);
+  }
+
+  // Call once per frame
+  update(now) {
+    if (now - this.lastUpdate < BOT_INTERVAL) return;
+    const elapsed = Number.isFinite(this.lastUpdate) ? (now - this.lastUpdate) / 1000 : 0;
+    this.lastUpdate = now;
+    // Read every time, as the level can change
+    const spawnPoints = this.getSpawnPoints();
+    const centres = spawnPoints && spawnPoints.length > 0 ? spawnPoints : [{ x: 0, y: 0.5, z: 0 }];
+
+    this.bots.forEach(bot => {
+      const centre = centres[bot.index % centres.length];
+      bot.angle += (BOT_SPEED / bot.radius) * elapsed * bot.direction;
+      // Facing along the circle: yaw as a quaternion about the y axis
+      const yaw = (bot.direction > 0 ? Math.PI : 0) - bot.angle;
+      this.onPresence(bot.id, {
+        ...bot.presence,
+        x: centre.x + Math.cos(bot.angle) * bot.radius,
+        y: centre.y,
+        z: centre.z + Math.sin(bot.angle) * bot.radius,
+        quaternion: [0, Math.sin(yaw / 2), 0, Math.cos(yaw / 2)],
+        movement: "walk"
+      });
+    });
+  }
+}
@@ -0,0 +1,9 @@
+// localStorage, or null where it's missing or blocked (privacy modes and some
+// embedded frames throw on access). Saved settings are optional everywhere.
+export function safeLocalStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
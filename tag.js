@@ -0,0 +1,288 @@
+import * as THREE from "three";
+
+// Tag: one player is "it" and passes it on by touching someone else. The
+// player who spent the least time as "it" when the round ends wins it.
+const ROUND_DURATION = 120000; // ms
+const INTERMISSION = 10000; // ms between rounds
+const MIN_PLAYERS = 2;
+// A new "it" can't tag anyone straight away, so there's no tagging back (ms)
+const TAG_COOLDOWN = 3000;
+// Distance between player centres that counts as a touch
+const TAG_DISTANCE = 1.2;
+// The host allows this much extra distance, as its positions lag behind
+const HOST_TAG_TOLERANCE = 2.5;
+// At most one tag request per this many ms
+const REQUEST_INTERVAL = 500;
+const SCOREBOARD_ROWS = 8;
+
+export class TagMode {
+  constructor(game) {
+    this.game = game;
+    this.lastRequest = -Infinity;
+    this.hudKey = null;
+  }
+
+  createState() {
+    return {
+      phase: "waiting", // waiting, playing or ended
+      round: 0,
+      it: null,
+      endsAt: 0, // end of the round or intermission, local clock
+      itSince: 0, // when the current "it" got tagged, local clock
+      itTimes: {}, // ms spent as "it" this round, by client id
+      wins: {}, // rounds won, by client id
+      winners: []
+    };
+  }
+
+  // Times travel relative to the sender's clock, as clients' clocks differ
+  serialize(state, now) {
+    return {
+      phase: state.phase,
+      round: state.round,
+      it: state.it,
+      remaining: Math.max(0, Math.round(state.endsAt - now)),
+      itFor: Math.max(0, Math.round(now - state.itSince)),
+      itTimes: state.itTimes,
+      wins: state.wins,
+      winners: state.winners
+    };
+  }
+
+  deserialize(data, now) {
+    const state = this.createState();
+    if (["waiting", "playing", "ended"].includes(data.phase)) state.phase = data.phase;
+    if (Number.isFinite(data.round)) state.round = data.round;
+    if (typeof data.it === "string") state.it = data.it;
+    if (Number.isFinite(data.remaining)) state.endsAt = now + data.remaining;
+    if (Number.isFinite(data.itFor)) state.itSince = now - data.itFor;
+    if (data.itTimes && typeof data.itTimes === "object") state.itTimes = data.itTimes;
+    if (data.wins && typeof data.wins === "object") state.wins = data.wins;
+    if (Array.isArray(data.winners)) state.winners = data.winners;
+    return state;
+  }
+
+  tick(state, now, players) {
+    if (state.phase === "playing") {
+      if (players.length < MIN_PLAYERS) {
+        state.phase = "waiting";
+        state.it = null;
+        return true;
+      }
+      if (now >= state.endsAt) {
+        this.endRound(state, now, players);
+        return true;
+      }
+      if (!players.includes(state.it)) {
+        // "It" left or started spectating
+        this.passIt(state, randomItem(players), now);
+        return true;
+      }
+      return false;
+    }
+
+    if (state.phase === "ended" && now < state.endsAt) return false;
+
+    // Waiting, or the intermission is over
+    if (players.length >= MIN_PLAYERS) {
+      this.startRound(state, now, players);
+      return true;
+    }
+    if (state.phase !== "waiting") {
+      state.phase = "waiting";
+      state.it = null;
+      return true;
+    }
+    return false;
+  }
+
+  startRound(state, now, players) {
+    state.phase = "playing";
+    state.round++;
+    state.endsAt = now + ROUND_DURATION;
+    state.itTimes = {};
+    state.winners = [];
+    state.it = null;
+    this.passIt(state, randomItem(players), now);
+  }
+
+  passIt(state, id, now) {
+    if (state.it) {
+      state.itTimes[state.it] = (state.itTimes[state.it] || 0) + (now - state.itSince);
+    }
+    state.it = id;
+    state.itSince = now;
+  }
+
+  endRound(state, now, players) {
+    this.passIt(state, null, now);
+
+    // Everyone tied for the least time as "it" wins
+    const least = Math.min(...players.map(id => state.itTimes[id] || 0));
+    state.winners = players.filter(id => (state.itTimes[id] || 0) === least);
+    state.winners.forEach(id => {
+      state.wins[id] = (state.wins[id] || 0) + 1;
+    });
+
+    state.phase = "ended";
+    state.endsAt = now + INTERMISSION;
+  }
+
+  handleAction(state, data, clientId, now, players) {
+    if (data.action !== "tag" || state.phase !== "playing") return false;
+    if (clientId !== state.it || now - state.itSince < TAG_COOLDOWN) return false;
+    if (data.target === clientId || !players.includes(data.target)) return false;
+
+    // Sanity check the touch against the positions the host knows about
+    const tagger = this.game.getPresence(clientId);
+    const target = this.game.getPresence(data.target);
+    if (tagger && target && distance(tagger, target) > TAG_DISTANCE + HOST_TAG_TOLERANCE) return false;
+
+    this.passIt(state, data.target, now);
+    return true;
+  }
+
+  // The local "it" looks for someone within reach and asks the host to tag them
+  update(state, now) {
+    this.updateMarkers(state, now);
+
+    const game = this.game;
+    if (state.phase !== "playing" || state.it !== game.localId || game.isSpectating(game.localId)) return;
+    if (now - state.itSince < TAG_COOLDOWN || now - this.lastRequest < REQUEST_INTERVAL) return;
+
+    const position = game.getLocalPosition();
+    if (!position) return;
+
+    for (const [id, playerObj] of game.getPlayerObjects()) {
+      if (id === game.localId || game.isSpectating(id)) continue;
+      if (distance(position, playerObj.position) <= TAG_DISTANCE) {
+        this.lastRequest = now;
+        game.sendAction("tag", { target: id });
+        return;
+      }
+    }
+  }
+
+  // Spinning marker above whoever is "it"
+  updateMarkers(state, now) {
+    this.game.getPlayerObjects().forEach((playerObj, id) => {
+      let marker = playerObj.getObjectByName("itMarker");
+      const isIt = state.phase === "playing" && id === state.it;
+      if (!marker) {
+        if (!isIt) return;
+        marker = createItMarker();
+        playerObj.add(marker);
+      }
+      marker.visible = isIt;
+      marker.rotation.y = now / 400;
+    });
+  }
+
+  render(hud, state, now) {
+    const game = this.game;
+    const name = (id) => (id === game.localId ? "You" : game.getPlayerName(id));
+
+    let title = "Tag";
+    let status = "";
+    if (state.phase === "waiting") {
+      status = `Waiting for ${MIN_PLAYERS} players…`;
+    } else if (state.phase === "playing") {
+      title = `Tag — round ${state.round} — ${formatTime(state.endsAt - now)}`;
+      if (state.it === game.localId) {
+        const cooldown = state.itSince + TAG_COOLDOWN - now;
+        status = cooldown > 0 ? `You are it! Tag someone in ${Math.ceil(cooldown / 1000)}…` : "You are it! Tag someone!";
+      } else if (state.it) {
+        status = `${name(state.it)} is it — run!`;
+      }
+    } else {
+      const winners = state.winners.map(name).join(", ");
+      title = `Tag — round ${state.round} over`;
+      status = `${winners || "Nobody"} won! Next round in ${formatTime(state.endsAt - now)}`;
+    }
+
+    // Least time as "it" first, then most rounds won
+    const rows = game.getParticipants()
+      .map(id => ({
+        id,
+        itTime: (state.itTimes[id] || 0) + (state.phase === "playing" && id === state.it ? now - state.itSince : 0),
+        wins: state.wins[id] || 0
+      }))
+      .sort((a, b) => a.itTime - b.itTime || b.wins - a.wins)
+      .slice(0, SCOREBOARD_ROWS)
+      .map(row => [`${row.id === state.it ? "● " : ""}${name(row.id)}`, formatTime(row.itTime), String(row.wins)]);
+
+    this.setHud(hud, { title, status, rows, isIt: state.phase === "playing" && state.it === game.localId });
+  }
+
+  // Rebuild the HUD only when something visible changed
+  setHud(hud, text) {
+    const key = JSON.stringify(text);
+    if (key === this.hudKey) return;
+    this.hudKey = key;
+
+    hud.innerHTML = "";
+    hud.classList.toggle("game-hud-it", text.isIt);
+
+    const title = document.createElement("div");
+    title.className = "game-hud-title";
+    title.textContent = text.title;
+    hud.appendChild(title);
+
+    if (text.status) {
+      const status = document.createElement("div");
+      status.className = "game-hud-status";
+      status.textContent = text.status;
+      hud.appendChild(status);
+    }
+
+    const table = document.createElement("table");
+    table.className = "game-scoreboard";
+    const header = document.createElement("tr");
+    ["Player", "Time as it", "Wins"].forEach(label => {
+      const cell = document.createElement("th");
+      cell.textContent = label;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+    text.rows.forEach(values => {
+      const row = document.createElement("tr");
+      values.forEach(value => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    hud.appendChild(table);
+  }
+}
+
+// One geometry and material for every marker, kept for the whole session
+let markerGeometry = null;
+let markerMaterial = null;
+
+function createItMarker() {
+  if (!markerGeometry) {
+    markerGeometry = new THREE.ConeGeometry(0.2, 0.35, 4);
+    markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff3030 });
+  }
+  const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+  // Point down at the head
+  marker.rotation.x = Math.PI;
+  marker.position.y = 1.55;
+  marker.name = "itMarker";
+  return marker;
+}
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function formatTime(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
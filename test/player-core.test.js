@@ -0,0 +1,166 @@
+// Headless tests for the player simulation: node --test test/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CollisionWorld, createBox } from "../collision.js";
+import {
+  createPlayerState,
+  createInputState,
+  stepPlayer,
+  FOOT_OFFSET,
+  PLAYER_RADIUS,
+  PLAYER_HEIGHT,
+  JUMP_FORCE,
+  GRAVITY,
+  FIXED_TIMESTEP,
+  MOVEMENT_STATES
+} from "../player-core.js";
+
+// Step until `done(state)` or `maxSteps`, returning the final state and every state on the way
+function run(state, input, world, maxSteps, done = () => false) {
+  const states = [];
+  for (let i = 0; i < maxSteps; i++) {
+    state = stepPlayer(state, input, world).state;
+    states.push(state);
+    if (done(state)) break;
+  }
+  return { state, states };
+}
+
+// Let a freshly spawned player settle on whatever is below them
+function settle(state, world) {
+  return run(state, createInputState(), world, 120, s => s.onGround).state;
+}
+
+test("a jump reaches its apex and lands back on the ground", () => {
+  const world = new CollisionWorld();
+  const start = settle(createPlayerState(), world);
+  assert.equal(start.onGround, true);
+  assert.equal(start.y, FOOT_OFFSET);
+
+  const first = stepPlayer(start, { ...createInputState(), jump: true }, world);
+  assert.equal(first.events.jumped, true);
+  assert.equal(first.state.onGround, false);
+
+  const { state, states } = run(first.state, createInputState(), world, 240, s => s.onGround);
+  const apex = Math.max(...states.map(s => s.y));
+  const expectedApex = FOOT_OFFSET + (JUMP_FORCE * JUMP_FORCE) / (2 * GRAVITY);
+  assert.ok(Math.abs(apex - expectedApex) < 0.3, `apex ${apex} near ${expectedApex}`);
+  assert.equal(state.onGround, true);
+  assert.equal(state.y, FOOT_OFFSET);
+  assert.equal(state.velocity.y, 0);
+});
+
+test("jumping onto a raised platform lands on its top", () => {
+  // 1 unit high, starting 1 unit in front of the player (-z is forward at yaw 0)
+  const world = new CollisionWorld([createBox(-2, 0, -5, 2, 1, -1)]);
+  let state = settle(createPlayerState(), world);
+
+  const input = { ...createInputState(), forward: 1, jump: true };
+  let landedOnTop = false;
+  for (let i = 0; i < 240 && !landedOnTop; i++) {
+    const result = stepPlayer(state, input, world);
+    state = result.state;
+    landedOnTop = result.events.landed && state.y - FOOT_OFFSET > 0.5;
+  }
+
+  assert.ok(landedOnTop, "landed on the platform");
+  assert.ok(Math.abs(state.y - FOOT_OFFSET - 1) < 0.01, `feet at ${state.y - FOOT_OFFSET}`);
+  assert.ok(state.z < -1 + PLAYER_RADIUS);
+});
+
+test("walking into a wall stops at its face", () => {
+  const world = new CollisionWorld([createBox(-5, 0, -3, 5, 3, -2)]);
+  const state = run(settle(createPlayerState(), world), { ...createInputState(), forward: 1 }, world, 180).state;
+
+  assert.ok(state.z - PLAYER_RADIUS >= -2 - 1e-6, `not inside the wall (z ${state.z})`);
+  assert.ok(state.z - PLAYER_RADIUS < -2 + 0.01, `against the wall (z ${state.z})`);
+  assert.equal(state.velocity.z, 0);
+  assert.equal(state.onGround, true);
+});
+
+test("a ledge too high to step up onto blocks the player", () => {
+  const world = new CollisionWorld([createBox(-5, 0, -3, 5, 0.5, -2)]);
+  const state = run(settle(createPlayerState(), world), { ...createInputState(), forward: 1 }, world, 120).state;
+  assert.ok(state.z - PLAYER_RADIUS >= -2 - 1e-6);
+  assert.equal(state.y, FOOT_OFFSET);
+});
+
+test("walking into a low ledge steps up onto it", () => {
+  // Lower than STEP_HEIGHT, and long enough to still be on it at the end
+  const world = new CollisionWorld([createBox(-5, 0, -20, 5, 0.3, -2)]);
+  const { state, states } = run(settle(createPlayerState(), world), { ...createInputState(), forward: 1 }, world, 120);
+
+  assert.ok(states.some(s => s.z < -2), "went past the ledge's edge");
+  assert.ok(Math.abs(state.y - FOOT_OFFSET - 0.3) < 0.01, `feet at ${state.y - FOOT_OFFSET}`);
+  assert.equal(state.onGround, true);
+});
+
+test("jumping under a low ceiling stops at it and falls back", () => {
+  // The head is 0.5 below the ceiling, far less than a full jump
+  const world = new CollisionWorld([createBox(-5, PLAYER_HEIGHT + 0.5, -5, 5, PLAYER_HEIGHT + 1, 5)]);
+  const first = stepPlayer(settle(createPlayerState(), world), { ...createInputState(), jump: true }, world);
+  const { state, states } = run(first.state, createInputState(), world, 240, s => s.onGround);
+
+  const apex = Math.max(...states.map(s => s.y - FOOT_OFFSET + PLAYER_HEIGHT));
+  assert.ok(apex <= PLAYER_HEIGHT + 0.5 + 1e-6, `head reached ${apex}`);
+  assert.ok(apex > PLAYER_HEIGHT + 0.45, `head reached ${apex}`);
+  // Falling straight away rather than pressing into the ceiling
+  const top = states.findIndex(s => s.y - FOOT_OFFSET + PLAYER_HEIGHT === apex);
+  assert.ok(states[top + 1].y < states[top].y);
+  assert.equal(state.onGround, true);
+  assert.equal(state.y, FOOT_OFFSET);
+});
+
+test("a very fast player doesn't tunnel through a thin wall", () => {
+  const world = new CollisionWorld([createBox(-5, 0, -2.05, 5, 3, -2)]);
+  let state = settle(createPlayerState(), world);
+  // Far more than the wall's thickness every step
+  state = { ...state, velocity: { x: 0, y: 0, z: -300 } };
+  const result = stepPlayer(state, createInputState(), world, FIXED_TIMESTEP);
+
+  assert.ok(result.state.z - PLAYER_RADIUS >= -2 - 1e-6, `stopped in front (z ${result.state.z})`);
+  // 0 or -0
+  assert.ok(result.state.velocity.z === 0, `stopped (vz ${result.state.velocity.z})`);
+});
+
+test("a fast fall lands on a thin floor instead of passing through it", () => {
+  const world = new CollisionWorld([createBox(-2, 4.9, -2, 2, 5, 2)], { floorY: null });
+  const state = { ...createPlayerState({ x: 0, y: 8, z: 0 }), velocity: { x: 0, y: -400, z: 0 } };
+  const result = stepPlayer(state, createInputState(), world);
+
+  assert.equal(result.state.onGround, true);
+  assert.ok(Math.abs(result.state.y - FOOT_OFFSET - 5) < 0.01, `feet at ${result.state.y - FOOT_OFFSET}`);
+});
+
+test("a crouched player stays crouched under a low block until clear of it", () => {
+  // Low enough to stop standing up, high enough to crouch under
+  const world = new CollisionWorld([createBox(-1, 1.5, -1, 1, 2, 1)]);
+  const start = { ...settle(createPlayerState(), world), movement: "crouch" };
+  assert.ok(MOVEMENT_STATES.crouch.height < 1.5 && MOVEMENT_STATES.walk.height > 1.5);
+
+  const stayed = run(start, createInputState(), world, 30).states;
+  assert.ok(stayed.every(s => s.movement === "crouch"), "still crouched with crouch released");
+
+  const { state } = run(stayed[stayed.length - 1], { ...createInputState(), forward: 1 }, world, 120, s => s.movement === "walk");
+  assert.equal(state.movement, "walk");
+  assert.ok(state.z + PLAYER_RADIUS < -1, `stood up clear of the block (z ${state.z})`);
+});
+
+test("crouching at sprint speed starts a slide that slows down into a crouch", () => {
+  const world = new CollisionWorld();
+  const sprint = { ...createInputState(), forward: 1, sprint: true };
+  const running = run(settle(createPlayerState(), world), sprint, world, 120).state;
+  assert.equal(running.movement, "sprint");
+  const runSpeed = Math.hypot(running.velocity.x, running.velocity.z);
+  assert.ok(Math.abs(runSpeed - MOVEMENT_STATES.sprint.speed) < 0.01);
+
+  const { state, states } = run(running, { ...sprint, crouch: true }, world, 240, s => s.movement !== "slide");
+  const speeds = states.map(s => Math.hypot(s.velocity.x, s.velocity.z));
+  assert.equal(states[0].movement, "slide");
+  assert.ok(speeds[0] > runSpeed, `boosted to ${speeds[0]}`);
+  assert.ok(speeds.every((speed, i) => i === 0 || speed < speeds[i - 1]), "loses speed every step");
+  // Friction alone takes the best part of a second to slow it down
+  assert.ok(states.length > 30, `slid for ${states.length} steps`);
+  // Still holding crouch once it's too slow to slide
+  assert.equal(state.movement, "crouch");
+});
@@ -0,0 +1,299 @@
+// Network transports. Every transport has the same surface:
+//
+//   await transport.connect()
+//   transport.clientId                 our id, valid after connect()
+//   transport.presence                 { [clientId]: presence } for everyone, including us
+//   transport.updatePresence(values)   merge values into our presence
+//   transport.subscribePresence(cb)    cb(presence) on any change; returns unsubscribe
+//   transport.send(message)            broadcast an object to the other clients
+//   transport.onMessage(cb)            cb(message) with message.clientId set to the sender; returns unsubscribe
+//
+// WebsimTransport wraps the Websim room, LocalTransport connects tabs of the
+// same browser through a BroadcastChannel, and WebSocketTransport talks to
+// server/relay.js.
+
+// Shared listener bookkeeping for the transports
+class BaseTransport {
+  constructor() {
+    this.clientId = null;
+    this.presenceListeners = new Set();
+    this.messageListeners = new Set();
+  }
+
+  async connect() {}
+
+  subscribePresence(callback) {
+    this.presenceListeners.add(callback);
+    return () => this.presenceListeners.delete(callback);
+  }
+
+  onMessage(callback) {
+    this.messageListeners.add(callback);
+    return () => this.messageListeners.delete(callback);
+  }
+
+  emitPresence() {
+    this.presenceListeners.forEach(callback => callback(this.presence));
+  }
+
+  emitMessage(message) {
+    this.messageListeners.forEach(callback => callback(message));
+  }
+
+  // Merge a presence update for one client; null removes the client
+  setPeerPresence(clientId, values) {
+    if (values === null) {
+      if (!(clientId in this.presence)) return;
+      const { [clientId]: removed, ...rest } = this.presence;
+      this.presence = rest;
+    } else {
+      this.presence = {
+        ...this.presence,
+        [clientId]: { ...this.presence[clientId], ...values }
+      };
+    }
+    this.emitPresence();
+  }
+}
+
+export class WebsimTransport extends BaseTransport {
+  constructor(room = new WebsimSocket()) {
+    super();
+    this.room = room;
+  }
+
+  async connect() {
+    if (typeof this.room.initialize === "function") {
+      await this.room.initialize();
+    }
+    this.clientId = this.room.party.client.id;
+
+    this.room.party.subscribePresence(() => this.emitPresence());
+    this.room.onmessage = (event) => this.emitMessage(event.data);
+  }
+
+  // Presence is owned by the Websim room
+  get presence() {
+    return this.room.party.presence;
+  }
+
+  updatePresence(values) {
+    this.room.party.updatePresence(values);
+  }
+
+  send(message) {
+    this.room.send(message);
+  }
+}
+
+const HEARTBEAT_INTERVAL = 1000; // ms
+const PEER_TIMEOUT = 5000; // ms
+
+// Multi-tab play on one machine. Any object with postMessage/onmessage/close
+// can be passed as the channel, e.g. for tests without a browser.
+export class LocalTransport extends BaseTransport {
+  constructor(options = {}) {
+    super();
+    this.channelName = options.channelName || "first-person-player";
+    this.channel = options.channel || null;
+    this.clientId = options.clientId || createClientId();
+    this.presence = {};
+    this.lastSeen = new Map();
+  }
+
+  async connect() {
+    if (!this.channel) {
+      this.channel = new BroadcastChannel(this.channelName);
+    }
+    this.channel.onmessage = (event) => this.receive(event.data);
+
+    this.presence = { [this.clientId]: {} };
+    this.post({ kind: "hello" });
+
+    // Heartbeats double as presence refreshes for peers that missed an update
+    this.heartbeat = setInterval(() => {
+      this.post({ kind: "presence", presence: this.presence[this.clientId] });
+      this.expirePeers();
+    }, HEARTBEAT_INTERVAL);
+
+    if (typeof window !== "undefined") {
+      window.addEventListener("beforeunload", () => this.disconnect());
+    }
+  }
+
+  disconnect() {
+    if (!this.channel) return;
+    this.post({ kind: "leave" });
+    clearInterval(this.heartbeat);
+    this.channel.close();
+    this.channel = null;
+  }
+
+  post(packet) {
+    if (this.channel) {
+      this.channel.postMessage({ ...packet, clientId: this.clientId });
+    }
+  }
+
+  receive(packet) {
+    if (!packet || !packet.clientId || packet.clientId === this.clientId) return;
+    this.lastSeen.set(packet.clientId, Date.now());
+
+    switch (packet.kind) {
+      case "hello":
+        // A new tab: introduce ourselves
+        this.post({ kind: "presence", presence: this.presence[this.clientId] });
+        break;
+      case "presence":
+        this.setPeerPresence(packet.clientId, packet.presence || {});
+        break;
+      case "leave":
+        this.lastSeen.delete(packet.clientId);
+        this.setPeerPresence(packet.clientId, null);
+        break;
+      case "message":
+        this.emitMessage({ ...packet.message, clientId: packet.clientId });
+        break;
+    }
+  }
+
+  expirePeers() {
+    const now = Date.now();
+    this.lastSeen.forEach((time, clientId) => {
+      if (now - time > PEER_TIMEOUT) {
+        this.lastSeen.delete(clientId);
+        this.setPeerPresence(clientId, null);
+      }
+    });
+  }
+
+  updatePresence(values) {
+    this.setPeerPresence(this.clientId, values);
+    this.post({ kind: "presence", presence: values });
+  }
+
+  send(message) {
+    this.post({ kind: "message", message });
+  }
+}
+
+const RECONNECT_DELAY = 1000; // ms, doubled on each failure
+const MAX_RECONNECT_DELAY = 15000;
+
+// Client for the reference relay in server/relay.js. Protocol (JSON text frames):
+//   server -> client { type: "welcome", clientId, presence }
+//   server -> client { type: "presence", clientId, presence }  presence null when a client leaves
+//   server -> client { type: "message", clientId, message }
+//   client -> server { type: "presence", presence }             partial, merged by the server
+//   client -> server { type: "message", message }
+export class WebSocketTransport extends BaseTransport {
+  constructor(url) {
+    super();
+    this.url = url;
+    this.presence = {};
+    this.socket = null;
+    this.resumeToken = null;
+    this.reconnectDelay = RECONNECT_DELAY;
+    // Our own presence, re-sent after a reconnect
+    this.ownPresence = {};
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      let welcomed = false;
+      // After a reconnect, ask the relay to give us our old id back; the
+      // token proves it was ours
+      const url = new URL(this.url);
+      if (this.clientId && this.resumeToken) {
+        url.searchParams.set("clientId", this.clientId);
+        url.searchParams.set("token", this.resumeToken);
+      }
+      this.socket = new WebSocket(url.toString());
+
+      this.socket.onmessage = (event) => {
+        let packet;
+        try {
+          packet = JSON.parse(event.data);
+        } catch (error) {
+          return;
+        }
+
+        if (packet.type === "welcome") {
+          welcomed = true;
+          this.reconnectDelay = RECONNECT_DELAY;
+          this.clientId = packet.clientId;
+          this.resumeToken = packet.resumeToken || null;
+          this.presence = { ...packet.presence, [this.clientId]: this.ownPresence };
+          if (Object.keys(this.ownPresence).length > 0) {
+            this.sendPacket({ type: "presence", presence: this.ownPresence });
+          }
+          this.emitPresence();
+          resolve();
+        } else if (packet.type === "presence") {
+          if (packet.clientId !== this.clientId) {
+            this.setPeerPresence(packet.clientId, packet.presence);
+          }
+        } else if (packet.type === "message") {
+          this.emitMessage({ ...packet.message, clientId: packet.clientId });
+        }
+      };
+
+      this.socket.onclose = () => {
+        if (!welcomed) {
+          reject(new Error(`Could not connect to ${this.url}`));
+          return;
+        }
+        // Everyone else is unknown until the next welcome
+        this.presence = { [this.clientId]: this.ownPresence };
+        this.emitPresence();
+        this.scheduleReconnect();
+      };
+    });
+  }
+
+  scheduleReconnect() {
+    setTimeout(() => {
+      this.connect().catch(() => this.scheduleReconnect());
+    }, this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY);
+  }
+
+  sendPacket(packet) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(packet));
+    }
+  }
+
+  updatePresence(values) {
+    this.ownPresence = { ...this.ownPresence, ...values };
+    this.setPeerPresence(this.clientId, values);
+    this.sendPacket({ type: "presence", presence: values });
+  }
+
+  send(message) {
+    this.sendPacket({ type: "message", message });
+  }
+}
+
+function createClientId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `client-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Pick a transport from the URL: ?transport=local, ?transport=ws&server=ws://host:port,
+// otherwise Websim when it is available and local play when it is not
+export function createTransport(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const type = params.get("transport");
+
+  if (type === "ws") {
+    const defaultServer = `ws://${window.location.hostname || "localhost"}:8080`;
+    return new WebSocketTransport(params.get("server") || defaultServer);
+  }
+  if (type === "local" || typeof WebsimSocket === "undefined") {
+    return new LocalTransport({ channelName: params.get("channel") || undefined });
+  }
+  return new WebsimTransport();
+}
@@ -0,0 +1,99 @@
+// Trigger volumes for the local player. Kill volumes and leaving the world
+// (falling below killY or wandering far past the ground) ask for a respawn;
+// checkpoints become the respawn point. DOM-free like player-core.js.
+import { FOOT_OFFSET, PLAYER_RADIUS, PLAYER_HEIGHT } from "./player-core.js";
+
+// How far past the edge of the ground counts as out of the world
+const BOUNDS_MARGIN = 30;
+// Spawn points with nobody this close (horizontally) are preferred
+const SPAWN_CLEARANCE = 3;
+
+export class TriggerSystem {
+  // volumes: boxes with { type, id } from createTriggerVolumes() in level.js
+  // options: { bounds: { minX, maxX, minZ, maxZ }, killY }
+  constructor(volumes = [], options = {}) {
+    // Respawn point of the last checkpoint reached
+    this.checkpoint = null;
+    this.checkpointId = null;
+    this.setVolumes(volumes, options);
+  }
+
+  // Switch to another level's volumes and bounds. The checkpoint reached is
+  // kept if the new level still has it (an edit, or the end of a replay).
+  setVolumes(volumes = [], options = {}) {
+    this.volumes = volumes;
+    this.bounds = options.bounds || null;
+    this.killY = options.killY !== undefined ? options.killY : -10;
+    // Ids of the volumes the player is inside, to fire on entry only
+    this.inside = new Set();
+
+    const checkpoint = volumes.find(volume => volume.type === "checkpoint" && volume.id === this.checkpointId);
+    this.checkpoint = checkpoint ? checkpointPoint(checkpoint) : null;
+    if (!checkpoint) this.checkpointId = null;
+  }
+
+  outOfBounds(position) {
+    if (position.y - FOOT_OFFSET < this.killY) return true;
+    const b = this.bounds;
+    if (!b) return false;
+    return position.x < b.minX - BOUNDS_MARGIN || position.x > b.maxX + BOUNDS_MARGIN ||
+      position.z < b.minZ - BOUNDS_MARGIN || position.z > b.maxZ + BOUNDS_MARGIN;
+  }
+
+  // Check the player at position (body centre, as in player-core.js).
+  // Returns { respawn, checkpoint } where checkpoint is the id of a newly
+  // reached checkpoint.
+  update(position) {
+    const result = { respawn: this.outOfBounds(position), checkpoint: null };
+
+    const feet = position.y - FOOT_OFFSET;
+    const nowInside = new Set();
+    this.volumes.forEach(volume => {
+      const overlapping = position.x + PLAYER_RADIUS > volume.min.x && position.x - PLAYER_RADIUS < volume.max.x &&
+        position.z + PLAYER_RADIUS > volume.min.z && position.z - PLAYER_RADIUS < volume.max.z &&
+        feet + PLAYER_HEIGHT > volume.min.y && feet < volume.max.y;
+      if (!overlapping) return;
+
+      nowInside.add(volume.id);
+      if (this.inside.has(volume.id)) return;
+
+      if (volume.type === "kill") {
+        result.respawn = true;
+      } else if (volume.type === "checkpoint" && volume.id !== this.checkpointId) {
+        this.checkpointId = volume.id;
+        this.checkpoint = checkpointPoint(volume);
+        result.checkpoint = volume.id;
+      }
+    });
+    this.inside = nowInside;
+
+    return result;
+  }
+
+  // Forget which volumes we were in, e.g. after a respawn
+  reset() {
+    this.inside.clear();
+  }
+}
+
+// Respawn point of a checkpoint: standing in the middle of its floor
+function checkpointPoint(volume) {
+  return {
+    x: (volume.min.x + volume.max.x) / 2,
+    y: volume.min.y + FOOT_OFFSET,
+    z: (volume.min.z + volume.max.z) / 2
+  };
+}
+
+// Pick a spawn point away from other players: a random one of those with
+// nobody within SPAWN_CLEARANCE, or else the one furthest from everyone.
+// others is a list of { x, z } positions.
+export function chooseSpawnPoint(spawnPoints, others = [], random = Math.random) {
+  const clearance = point => Math.min(Infinity, ...others.map(other => Math.hypot(other.x - point.x, other.z - point.z)));
+
+  const clear = spawnPoints.filter(point => clearance(point) >= SPAWN_CLEARANCE);
+  if (clear.length > 0) {
+    return clear[Math.floor(random() * clear.length)];
+  }
+  return spawnPoints.reduce((best, point) => (clearance(point) > clearance(best) ? point : best));
+}